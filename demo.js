@@ -1,20 +1,88 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { FractalModel, NEUTRAL_MODULATION } from './src/fractal-model.js';
+import { SimulationClock } from './src/clock.js';
+import { exportFrame } from './src/exporters/index.js';
+import { exportSVG } from './src/exporters/svg.js';
+import { downloadFile } from './src/download.js';
+import {
+    SNAPSHOT_VERSION,
+    DEFAULT_SOURCES,
+    serializableConfig,
+    serializableSources,
+    validateSnapshot,
+    snapshotToHash
+} from './src/snapshot.js';
+import { PRESETS, getPreset } from './src/presets.js';
+import { CONFIG_SCHEMA, ConfigError } from './src/config.js';
+import { EventEmitter } from './src/emitter.js';
+import { QualityManager } from './src/quality.js';
+import { createFrameGenerator } from './src/frame-generator.js';
+import { MATRIX_FLOATS, BOUNDS_FLOATS } from './src/frame-packing.js';
+import { MetricsRecorder } from './src/recorder.js';
+import { CameraDirector } from './src/camera-director.js';
+import { ColorScale, timePhase } from './src/color-map.js';
+import { AudioInput } from './src/audio-input.js';
+import { Sonifier, renderSonification } from './src/sonification.js';
+import { toWAV } from './src/exporters/wav.js';
+
+// Scratch objects for culling and picking
+const _position = new THREE.Vector3();
+const _pointer = new THREE.Vector2();
+const _sourcePlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0); // z = 0
+const _size = new THREE.Vector2();
+const _rgb = new Float32Array(3);
+const _start = new THREE.Vector3();
+const _end = new THREE.Vector3();
+const _onRay = new THREE.Vector3();
+
+// Branch highlight kinds and their colors (linear RGB); the rest dims
+// while a branch is selected
+const HOVERED = 1;
+const SELECTED = 2;
+const ANCESTOR = 3;
+const DESCENDANT = 4;
+const HIGHLIGHT_COLORS = [null, [1, 0.8, 0.1], [1, 0.15, 0.15], [1, 0.45, 0.05], [0, 0.8, 1]];
+const SELECTION_DIM = 0.3;
+
+// Wires are picked as if at least this many pixels thick
+const PICK_TOLERANCE = 6;
+
+// Endpoints of packed segment i: its midpoint -/+ half the instance's Y
+// axis, which is scaled to the segment's length
+function segmentEndpoints({ matrices, bounds }, i, start, end) {
+    const m = i * MATRIX_FLOATS;
+    const b = i * BOUNDS_FLOATS;
+    const hx = matrices[m + 4] / 2;
+    const hy = matrices[m + 5] / 2;
+    const hz = matrices[m + 6] / 2;
+
+    start.set(bounds[b] - hx, bounds[b + 1] - hy, bounds[b + 2] - hz);
+    end.set(bounds[b] + hx, bounds[b + 1] + hy, bounds[b + 2] + hz);
+}
+
+// Legend titles of the color-mapped quantities
+const COLOR_LEGEND_TITLES = {
+    branch: { depth: 'Branch depth', energy: 'Branch energy', phase: 'Branch time phase' },
+    plane: { I: 'Plane intensity I', w: 'Plane displacement w', phase: 'Plane time phase' }
+};
 
 /**
  * Fractal Time Dynamics Engine
  * 
- * Features:
+ * Renders a FractalModel (src/fractal-model.js), which holds the math:
  * - Exponential light growth (r^n)
  * - 3D wave planes with sinusoidal deformation
- * - Reflection at I_max = 81
+ * - Reflection at I_max (r^4 unless configured) back to I_max / r
  * - Dispersion into 3 temporal rays (x, y, z)
- * - Energy cap at 13 → recycle
- * - Reset every 3 steps
+ * - Branch field energy above E_cap recycled into the source, with
+ *   e^(-lambda_decay * t) decay of the field and of branch energy
  * - Full time wrapping
  */
-export class FractalTimeEngine {
+export class FractalTimeEngine extends EventEmitter {
     constructor(containerId, options = {}) {
+        super();
+
         this.container = typeof containerId === 'string' 
             ? document.getElementById(containerId) 
             : containerId;
@@ -23,38 +91,98 @@ export class FractalTimeEngine {
             throw new Error('Container element not found');
         }
 
-        // Configuration
-        this.config = {
-            r: options.r || 3,
-            I_max: options.I_max || 81, // r^4 = 3^4 = 81
-            E_cap: options.E_cap || 13,
-            lambda_decay: options.lambda_decay || 4,
-            timeSpeed: options.timeSpeed || 0.01,
-            planeSize: options.planeSize || 2,
-            planeSegments: options.planeSegments || 32,
-            cameraPosition: options.cameraPosition || { x: 30, y: 20, z: 50 },
-            ...options
-        };
-
-        // State
-        this.t = 0;
-        this.energy = 0; // Start at 0, increment by 0.3
-        this.energyDirection = 1; // 1 = expanding, -1 = contracting (self-consuming)
+        // Simulation state lives in the headless model; this class renders it
+        this.model = new FractalModel(options);
+        this.clock = new SimulationClock(this.model);
+        this.clock.onStep = (model) => this.handleStep(model);
+        this.clock.onSeek = (model) => this.sonifier.seeked(model);
+        this.plugins = [];
+
+        // Configuration (shared with the model)
+        this.config = this.model.config;
+
+        // Level of detail, adapted to the frame budget (see src/quality.js)
+        this.quality = new QualityManager(this.config);
+        this.model.setDetail(this.quality.current);
+
+        // Branch and plane geometry, generated in a worker with
+        // `worker: true` (where available) or on the main thread
+        this.frameGenerator = createFrameGenerator(this.model, frame => this.renderFrame(frame), { worker: options.worker === true });
+
+        // Per-step metrics, sampled while recording
+        this.recorder = new MetricsRecorder();
+        this.frameTime = NaN; // ms of update and render, last frame
+
+        // Scripted camera moves; the user grabbing the controls ends them
+        this.cameraDirector = new CameraDirector();
+
+        // Color mapping (branchColor, planeColor, palette) and its legend,
+        // shown while a quantity is mapped unless `legend: false`
+        this.colorScale = new ColorScale(this.config.palette, { linear: true });
+        this.colorRanges = { branch: null, plane: null };
+        this.showLegend = options.legend !== false;
+        this.legendKey = null;
+
+        // Audio-reactive mode: sound modulates the model while a source is
+        // connected (see src/audio-input.js); `audioStream` is a
+        // microphone stream opened here, stopped with the audio
+        this.audioInput = new AudioInput(options.audio);
+        this.audioStream = null;
+
+        // Sonification: the engine's own dynamics played as sound (see
+        // src/sonification.js), on the audio input's context
+        this.sonifier = new Sonifier(options.sound);
+
+        // Branch inspection: ids of the hovered and selected branches in
+        // the drawn frame, and the pointer (client px) while over the canvas
+        this.frame = null;
+        this.hoveredBranch = null;
+        this.selectedBranch = null;
+        this.branchHighlight = null;
+        this.pointer = null;
+        this.pickStale = false;
+
+        // Render state: planes, lasers and branches of the current frame,
+        // drawn with pooled meshes that are updated in place
         this.planes = [];
         this.lasers = [];
         this.timeTexts = [];
-        this.energySource = new THREE.Vector3(0, 0, 0);
-        this.fractalBranches = [];
+        this.branchCount = 0;
+        this.segmentCount = 0;
+        this.planePool = [];
         this.isPlaying = true;
         this.wireframeMode = false;
         this.showInfo = false;
+        this.placingSources = false;
+
+        // Embedding: controls are looked up inside options.ui (an element or
+        // selector) via data-fte attributes, never by global id. Every DOM
+        // listener shares one AbortController so dispose() removes them all.
+        this.uiRoot = typeof options.ui === 'string' ? document.querySelector(options.ui) : (options.ui || null);
+        this.abortController = new AbortController();
+        this.createdElements = [];
+        this.frameId = null;
 
         // Initialize
         this.init();
         this.setupControls();
-        this.animate();
+        if (options.autoStart !== false) {
+            this.start();
+        }
     }
 
+    // Simulation state is owned by the model
+    get t() { return this.model.t; }
+    set t(value) { this.model.t = value; }
+
+    get energy() { return this.model.energy; }
+    set energy(value) { this.model.energy = value; }
+
+    get energyDirection() { return this.model.energyDirection; }
+    set energyDirection(value) { this.model.energyDirection = value; }
+
+    get energySource() { return this.model.energySource; }
+
     init() {
         // Scene
         this.scene = new THREE.Scene();
@@ -87,6 +215,8 @@ export class FractalTimeEngine {
         this.controls.enablePan = true; // Enable right-click pan
         this.controls.enableRotate = true; // Enable left-click rotate
         this.controls.target.set(0, 0, 0); // Orbit around energy source
+        this.controls.addEventListener('start', () => this.overrideCamera());
+        this.controls.addEventListener('change', () => { this.pickStale = true; });
 
         // Lighting
         const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
@@ -96,40 +226,61 @@ export class FractalTimeEngine {
         pointLight.position.set(10, 10, 10);
         this.scene.add(pointLight);
 
+        // Pooled branch instances and ray lines
+        this.ensureBranchCapacity(0);
+        this.ensureLaserCapacity(0);
+
+        // Energy source markers, shown once there is more than one source
+        this.sourceMarkers = new THREE.Points(
+            new THREE.BufferGeometry(),
+            new THREE.PointsMaterial({ color: 0xffffff, size: 0.8 })
+        );
+        this.sourceMarkers.frustumCulled = false;
+        this.sourceMarkers.visible = false;
+        this.scene.add(this.sourceMarkers);
+        this.raycaster = new THREE.Raycaster();
+
+        // Follow the container's size, not the window's
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.listen(window, 'resize', () => this.handleResize());
+        }
+    }
+
+    /**
+     * UI element `name` (its data-fte attribute) inside this instance's
+     * UI root, or null.
+     */
+    getElement(name) {
+        return this.uiRoot ? this.uiRoot.querySelector(`[data-fte="${name}"]`) : null;
+    }
+
+    // addEventListener that dispose() undoes
+    listen(target, type, handler) {
+        target.addEventListener(type, handler, { signal: this.abortController.signal });
+    }
 
-        // Handle resize
-        window.addEventListener('resize', () => this.handleResize());
+    /**
+     * A control's action failed (a malformed file, a denied microphone,
+     * …): emit `error` with `{ action, message, error }`, `action` being
+     * the engine method that threw, for the page to show.
+     */
+    reportError(action, error) {
+        this.emit('error', { action, message: error.message, error });
     }
 
 
-    createTimeText(timeValue, position) {
-        // Create canvas for text texture - make it much larger
+    createTimeText() {
+        // One canvas/texture per label, redrawn in place when the text changes
         const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
         const size = 1024; // Much larger size for crisp text
         canvas.width = size;
         canvas.height = size;
 
-        // Fill with semi-transparent dark background for visibility
-        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        context.fillRect(0, 0, size, size);
-
-        // Draw very large text - white
-        const fontSize = 400;
-        context.font = `bold ${fontSize}px Arial, sans-serif`;
-        context.fillStyle = '#ffffff';
-        context.strokeStyle = '#cccccc';
-        context.lineWidth = 15;
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        
-        const text = timeValue.toFixed(2);
-        context.strokeText(text, size / 2, size / 2);
-        context.fillText(text, size / 2, size / 2);
-
         // Create texture from canvas
         const texture = new THREE.CanvasTexture(canvas);
-        texture.needsUpdate = true;
 
         // Create sprite material
         const material = new THREE.SpriteMaterial({
@@ -143,8 +294,7 @@ export class FractalTimeEngine {
         // Create sprite - make it MUCH larger
         const sprite = new THREE.Sprite(material);
         sprite.scale.set(25, 25, 1); // Very large 3D size
-        sprite.position.copy(position);
-        
+
         // Add glow effect with additional sprite - white
         const glowMaterial = new THREE.SpriteMaterial({
             map: texture,
@@ -156,225 +306,341 @@ export class FractalTimeEngine {
         });
         const glow = new THREE.Sprite(glowMaterial);
         glow.scale.set(30, 30, 1); // Even larger glow
-        glow.position.copy(position);
-        
+
         const group = new THREE.Group();
         group.add(glow); // Add glow first so main sprite is on top
         group.add(sprite);
-        
+
         this.scene.add(group);
-        
-        return { sprite, glow, group, texture, material, glowMaterial, canvas };
+
+        return { sprite, glow, group, texture, material, glowMaterial, canvas, text: null };
     }
 
-    createPlane(n) {
-        const I = Math.pow(this.config.r, n) * Math.abs(Math.sin(6 * Math.PI * n));
-        
-        if (I < 0.1) return null;
+    /**
+     * Pooled wave plane `index`, allocated on first use. Geometry is only
+     * rebuilt when planeSize or planeSegments change.
+     */
+    acquirePlane(index, size, segments) {
+        let entry = this.planePool[index];
+
+        if (!entry) {
+            const material = new THREE.MeshBasicMaterial({
+                color: 0xffffff,
+                wireframe: this.wireframeMode,
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide
+            });
+            const plane = new THREE.Mesh(new THREE.PlaneGeometry(size, size, segments, segments), material);
+            this.scene.add(plane);
+
+            entry = { plane, timeText: this.createTimeText(), size, segments };
+            this.planePool[index] = entry;
+        } else if (entry.size !== size || entry.segments !== segments) {
+            entry.plane.geometry.dispose();
+            entry.plane.geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+            entry.size = size;
+            entry.segments = segments;
+        }
 
-        const geometry = new THREE.PlaneGeometry(
-            this.config.planeSize,
-            this.config.planeSize,
-            this.config.planeSegments,
-            this.config.planeSegments
-        );
+        return entry;
+    }
 
-        const material = new THREE.MeshBasicMaterial({
-            color: 0xffffff,
-            wireframe: this.wireframeMode,
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
-        });
+    updatePlane(index, planeData, fade = 1) {
+        const { I, size, segments, positions } = planeData;
+        const { plane, timeText } = this.acquirePlane(index, size, segments);
 
-        const plane = new THREE.Mesh(geometry, material);
-
-        // Apply wave deformation
-        const positions = geometry.attributes.position;
-        for (let i = 0; i < positions.count; i++) {
-            const x = positions.getX(i);
-            const y = positions.getY(i);
-            const w = Math.sin(6 * Math.PI * (x + y) / Math.sqrt(2));
-            
-            positions.setX(i, x * I);
-            positions.setY(i, y * I);
-            positions.setZ(i, w * I);
-        }
-        positions.needsUpdate = true;
-
-        plane.position.z = n * 6;
-        this.scene.add(plane);
-
-        // Create time text on the plane
-        const timeTextPosition = new THREE.Vector3(
-            plane.position.x,
-            plane.position.y + I * 0.5 + 2, // Position above plane center
-            plane.position.z
-        );
-        const timeText = this.createTimeText(this.t, timeTextPosition);
-        timeText.planeZ = plane.position.z; // Track which plane it's on
+        // History planes fade with age
+        plane.material.opacity = 0.6 * fade;
+        timeText.material.opacity = fade;
+        timeText.glowMaterial.opacity = 0.5 * fade;
+
+        // Re-deform the pooled geometry with the model's vertices
+        const position = plane.geometry.attributes.position;
+        position.array.set(positions);
+        position.needsUpdate = true;
+        plane.geometry.computeBoundingSphere();
+
+        this.colorPlane(plane, planeData);
+
+        plane.position.z = planeData.z;
+        plane.visible = true;
+        timeText.group.visible = true;
+
+        return { I, plane, n: planeData.n, t: planeData.t, timeText };
+    }
+
+    /**
+     * Color a plane by `planeColor`: one palette color for its intensity
+     * or time phase, per-vertex colors for the displacement w, or white.
+     */
+    colorPlane({ material, geometry }, { I, t, positions }) {
+        const mode = this.config.planeColor;
+        const range = this.colorRanges.plane;
+
+        const vertexColors = mode === 'w';
+        if (material.vertexColors !== vertexColors) {
+            material.vertexColors = vertexColors;
+            material.needsUpdate = true;
+        }
 
-        return { I, plane, n, timeText };
+        if (mode === 'I' || mode === 'phase') {
+            this.colorScale.write(mode === 'I' ? I : timePhase(t), range.min, range.max, _rgb, 0);
+            material.color.fromArray(_rgb);
+        } else {
+            material.color.set(0xffffff);
+        }
+
+        if (vertexColors) {
+            const count = positions.length / 3;
+            let color = geometry.getAttribute('color');
+            if (!color || color.count !== count) {
+                color = new THREE.BufferAttribute(new Float32Array(count * 3), 3);
+                geometry.setAttribute('color', color);
+            }
+
+            // Vertices hold w * I as their z
+            for (let i = 0; i < count; i++) {
+                this.colorScale.write(positions[i * 3 + 2] / I, range.min, range.max, color.array, i * 3);
+            }
+            color.needsUpdate = true;
+        }
     }
 
-    createLaser(n, I, direction = null) {
-        // Hide laser lines - make them invisible
-        return null;
+    /**
+     * Range `{ mode, min, max }` the palette spans for a color mode, or
+     * null for 'none'. Depth and energy span the frame's own values;
+     * intensity runs up to I_max and w over the largest superposition of
+     * the sources.
+     */
+    colorRange(mode, frame) {
+        switch (mode) {
+        case 'depth': {
+            let max = 0;
+            for (let i = 0; i < frame.segmentCount; i++) {
+                max = Math.max(max, frame.bounds[i * BOUNDS_FLOATS + 4]);
+            }
+            return { mode, min: 0, max };
+        }
+        case 'energy':
+            return { mode, min: 0, max: frame.energies.reduce((max, energy) => Math.max(max, energy), 0) };
+        case 'phase':
+            return { mode, min: 0, max: 1 };
+        case 'I':
+            return { mode, min: 0, max: this.config.I_max };
+        case 'w': {
+            const amplitude = this.model.sources.reduce((sum, { weight }) => sum + Math.abs(weight), 0);
+            return { mode, min: -amplitude, max: amplitude };
+        }
+        default:
+            return null;
+        }
     }
 
-    createFractalBranch(startPos, endPos, energy, depth, maxDepth, interval) {
-        if (depth > maxDepth || energy < 0.01) return [];
+    /**
+     * Line segments for the temporal rays, grown when more rays are live
+     * than the buffers hold.
+     */
+    ensureLaserCapacity(count) {
+        if (this.laserLines && this.laserCapacity >= count) return;
 
-        const branches = [];
-        const direction = new THREE.Vector3().subVectors(endPos, startPos);
-        const distance = direction.length();
-        const normalizedDir = direction.normalize();
+        this.laserCapacity = Math.max(count, (this.laserCapacity || 8) * 2);
 
-        // Create 3D wire/tube geometry - thickness based on energy
-        const wireRadius = Math.max(0.02, Math.min(0.3, energy * 0.02 + depth * 0.01));
-        const radialSegments = 8; // Lower segments for wire-like appearance
-        
-        // Create cylinder geometry for wire (height will be the distance)
-        const geometry = new THREE.CylinderGeometry(
-            wireRadius,  // top radius
-            wireRadius,  // bottom radius
-            distance,    // height (length of wire)
-            radialSegments,
-            1,
-            false        // openEnded
-        );
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.laserCapacity * 6), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.laserCapacity * 6), 3).setUsage(THREE.DynamicDrawUsage));
+
+        if (this.laserLines) {
+            this.laserLines.geometry.dispose();
+            this.laserLines.geometry = geometry;
+            return;
+        }
 
-        // White color for all branches - wireframe for wire-like appearance
-        const color = new THREE.Color(0xffffff);
-        const material = new THREE.MeshBasicMaterial({
-            color,
+        // Brightness is baked into vertex colors and added to the scene
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
             transparent: true,
-            opacity: Math.max(0.5, 1 - depth * 0.15),
-            wireframe: this.wireframeMode // Can toggle wireframe mode
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
         });
 
-        const wire = new THREE.Mesh(geometry, material);
-        
-        // Position wire at midpoint between start and end
-        const midPoint = new THREE.Vector3().lerpVectors(startPos, endPos, 0.5);
-        wire.position.copy(midPoint);
-        
-        // Orient wire along the branch direction
-        // Cylinder default is along Y-axis, rotate to match branch direction
-        const defaultDir = new THREE.Vector3(0, 1, 0); // Cylinder default orientation (Y-axis)
-        const quaternion = new THREE.Quaternion().setFromUnitVectors(defaultDir, normalizedDir);
-        wire.quaternion.copy(quaternion);
-        
-        this.scene.add(wire);
-        branches.push(wire);
-
-        // Recursive subdivision: every 1/3 interval, create exponential expansion
-        if (depth < maxDepth) {
-            const subEnergy = energy / 3; // Divide energy among branches
-            const subDistance = distance / 3;
-            
-            // Create branches at 1/3 and 2/3 points
-            for (let i = 1; i <= 2; i++) {
-                const t = i / 3;
-                const midPoint = new THREE.Vector3().lerpVectors(startPos, endPos, t);
-                
-                // Exponential expansion: create branches in multiple directions
-                const expansionFactor = Math.pow(this.config.r, depth * 0.5);
-                const angles = [0, Math.PI * 2 / 3, Math.PI * 4 / 3];
-                
-                angles.forEach((angle) => {
-                    const perpDir = new THREE.Vector3(
-                        Math.cos(angle),
-                        Math.sin(angle),
-                        normalizedDir.z * 0.5
-                    ).normalize();
-                    
-                    const expansionVec = new THREE.Vector3().copy(perpDir).multiplyScalar(subDistance * expansionFactor);
-                    const newEnd = new THREE.Vector3().addVectors(midPoint, expansionVec);
-                    
-                    // Recursively create sub-branches
-                    const subBranches = this.createFractalBranch(
-                        midPoint,
-                        newEnd,
-                        subEnergy,
-                        depth + 1,
-                        maxDepth,
-                        interval + 1
-                    );
-                    branches.push(...subBranches);
-                });
-            }
+        this.laserLines = new THREE.LineSegments(geometry, material);
+        this.laserLines.frustumCulled = false;
+        this.scene.add(this.laserLines);
+    }
+
+    updateLasers(rays) {
+        this.ensureLaserCapacity(rays.length);
+
+        const { position, color } = this.laserLines.geometry.attributes;
+
+        rays.forEach((ray, i) => {
+            // Temporal ray from the reflection point along its axis
+            position.setXYZ(i * 2, ray.origin.x, ray.origin.y, ray.origin.z);
+            position.setXYZ(i * 2 + 1, ray.end.x, ray.end.y, ray.end.z);
+
+            // Brightness fades as the ray decays
+            color.setXYZ(i * 2, ray.brightness, ray.brightness, ray.brightness);
+            color.setXYZ(i * 2 + 1, ray.brightness, ray.brightness, ray.brightness);
+        });
+
+        position.needsUpdate = true;
+        color.needsUpdate = true;
+        this.laserLines.geometry.setDrawRange(0, rays.length * 2);
+    }
+
+    updateSourceMarkers(sources) {
+        this.sourceMarkers.visible = sources.length > 1;
+        if (!this.sourceMarkers.visible) return;
+
+        // Written in place; grown (doubling) when more sources are added
+        const { geometry } = this.sourceMarkers;
+        let position = geometry.getAttribute('position');
+        if (!position || position.count < sources.length) {
+            const capacity = Math.max(sources.length, (position ? position.count : 4) * 2);
+            position = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute('position', position);
         }
 
-        return branches;
+        sources.forEach(({ position: { x, y, z } }, i) => position.setXYZ(i, x, y, z));
+        position.needsUpdate = true;
+        geometry.setDrawRange(0, sources.length);
     }
 
-    generateFractalFromEnergySource(t, n) {
-        // Use the accumulated energy (starts at 0, increments by 0.3)
-        const totalEnergy = this.energy;
-        
-        // Calculate interval (every 1/3)
-        const interval = Math.floor(n * 3);
-        const intervalProgress = (n * 3) % 1;
-        
-        // Create main branches from energy source
-        // Number of branches increases with energy (but capped)
-        const numMainBranches = Math.min(3 + Math.floor(totalEnergy / 3), 9);
-        const angleStep = (Math.PI * 2) / numMainBranches;
-        
-        const allBranches = [];
-        
-        for (let i = 0; i < numMainBranches; i++) {
-            const angle = angleStep * i + intervalProgress * 0.5;
-            // Distance scales with energy and shows expansion/contraction
-            const distance = totalEnergy * (1 + interval * 0.3);
-            
-            const endPos = new THREE.Vector3(
-                this.energySource.x + Math.cos(angle) * distance,
-                this.energySource.y + Math.sin(angle) * distance,
-                this.energySource.z + n * 6
-            );
-            
-            // Create recursive fractal branches
-            const branches = this.createFractalBranch(
-                this.energySource,
-                endPos,
-                totalEnergy / numMainBranches,
-                0,
-                Math.min(4, Math.floor(totalEnergy / 5)), // Max depth increases with energy
-                interval
-            );
-            
-            allBranches.push(...branches);
+    /**
+     * Instanced unit cylinders for the branches, grown (doubling) when a
+     * frame has more segments than instances.
+     */
+    ensureBranchCapacity(count) {
+        if (this.branchMesh && this.branchCapacity >= count) return;
+
+        this.branchCapacity = Math.max(count, (this.branchCapacity || 512) * 2);
+
+        if (!this.branchGeometry) {
+            // Unit wire along Y, scaled per instance to radius and length;
+            // few radial segments for a wire-like appearance
+            this.branchGeometry = this.createBranchGeometry(this.quality.current.radialSegments);
+
+            // White for all branches; per-instance color carries opacity
+            this.branchMaterial = new THREE.MeshBasicMaterial({
+                color: 0xffffff,
+                wireframe: this.wireframeMode // Can toggle wireframe mode
+            });
         }
-        
-        return allBranches;
+
+        if (this.branchMesh) {
+            this.scene.remove(this.branchMesh);
+            this.branchMesh.dispose();
+        }
+
+        this.branchMesh = new THREE.InstancedMesh(this.branchGeometry, this.branchMaterial, this.branchCapacity);
+        this.branchMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.branchMesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(this.branchCapacity * 3), 3);
+        this.branchMesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        this.branchMesh.frustumCulled = false; // Instances span far beyond the unit cylinder
+        this.scene.add(this.branchMesh);
+    }
+
+    createBranchGeometry(radialSegments) {
+        return new THREE.CylinderGeometry(1, 1, 1, radialSegments, 1, false);
+    }
+
+    /**
+     * Upload a packed frame's branch instances (current branches, then
+     * each history frame's with its fade already in the opacity).
+     *
+     * At most `maxSegments` instances are drawn, and sub-branches shorter
+     * on screen than the quality level's `minScreenSize` (px) are culled.
+     * Instance colors are white or the `branchColor` palette color, times
+     * the opacity, unless highlighted.
+     */
+    updateBranches({ segmentCount, matrices, opacities, bounds, energies, times }) {
+        // Segments generated, reported to the quality manager; of those,
+        // at most maxSegments are drawn
+        this.segmentCount = segmentCount;
+        const count = Math.min(segmentCount, this.config.maxSegments);
+        this.ensureBranchCapacity(count);
+
+        const matrixArray = this.branchMesh.instanceMatrix.array;
+        const colorArray = this.branchMesh.instanceColor.array;
+        const { minScreenSize } = this.quality.current;
+
+        const range = this.colorRanges.branch;
+        const value = {
+            depth: i => bounds[i * BOUNDS_FLOATS + 4],
+            energy: i => energies[i],
+            phase: i => timePhase(times[i])
+        }[this.config.branchColor];
+        const dim = this.selectedBranch !== null ? SELECTION_DIM : 1;
+        const baseColor = value
+            ? (i, slot) => this.colorScale.write(value(i), range.min, range.max, colorArray, slot * 3, opacities[i] * dim)
+            : (i, slot) => colorArray.fill(opacities[i] * dim, slot * 3, slot * 3 + 3);
+
+        // Hovered and selected branches (current step only) stand out
+        const highlight = this.branchHighlight;
+        const writeColor = highlight
+            ? (i, slot) => (highlight[i] ? colorArray.set(HIGHLIGHT_COLORS[highlight[i]], slot * 3) : baseColor(i, slot))
+            : baseColor;
+
+        let drawn = count;
+        if (minScreenSize > 0) {
+            // Projected length (px) = world length * pixelsPerUnit / distance
+            const pixelsPerUnit = this.renderer.getSize(_size).y / (2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2));
+
+            drawn = 0;
+            for (let i = 0; i < segmentCount && drawn < count; i++) {
+                const b = i * BOUNDS_FLOATS;
+                if (bounds[b + 4] > 0) {
+                    _position.set(bounds[b], bounds[b + 1], bounds[b + 2]);
+                    if (bounds[b + 3] * pixelsPerUnit < minScreenSize * _position.distanceTo(this.camera.position)) continue;
+                }
+
+                matrixArray.set(matrices.subarray(i * MATRIX_FLOATS, (i + 1) * MATRIX_FLOATS), drawn * MATRIX_FLOATS);
+                writeColor(i, drawn);
+                drawn++;
+            }
+        } else {
+            // Nothing culled: upload the buffers as they are
+            matrixArray.set(matrices.subarray(0, count * MATRIX_FLOATS));
+            for (let i = 0; i < count; i++) {
+                writeColor(i, i);
+            }
+        }
+
+        this.branchMesh.count = drawn;
+        this.branchMesh.instanceMatrix.needsUpdate = true;
+        this.branchMesh.instanceColor.needsUpdate = true;
     }
 
     updateTimeText(timeText, timeValue, planeZ, I) {
-        // Update canvas texture
-        const canvas = timeText.canvas;
-        const context = canvas.getContext('2d');
-        
-        // Clear and redraw with background
-        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        context.fillRect(0, 0, canvas.width, canvas.height);
-
-        // Draw updated text - make it even larger - white
-        const fontSize = 400;
-        context.font = `bold ${fontSize}px Arial, sans-serif`;
-        context.fillStyle = '#ffffff';
-        context.strokeStyle = '#cccccc';
-        context.lineWidth = 15;
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        
         const text = timeValue.toFixed(2);
-        context.strokeText(text, canvas.width / 2, canvas.height / 2);
-        context.fillText(text, canvas.width / 2, canvas.height / 2);
 
-        // Update texture
-        timeText.texture.needsUpdate = true;
+        // Only redraw the canvas when the label actually changes
+        if (text !== timeText.text) {
+            const canvas = timeText.canvas;
+            const context = canvas.getContext('2d');
+
+            // Clear and redraw with background
+            context.clearRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+
+            // Draw very large text - white
+            const fontSize = 400;
+            context.font = `bold ${fontSize}px Arial, sans-serif`;
+            context.fillStyle = '#ffffff';
+            context.strokeStyle = '#cccccc';
+            context.lineWidth = 15;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+
+            context.strokeText(text, canvas.width / 2, canvas.height / 2);
+            context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+            // Update texture
+            timeText.texture.needsUpdate = true;
+            timeText.text = text;
+        }
 
         // Update position to stay on plane - keep it aligned with plane's Z position
         // Position it prominently above the plane
@@ -383,336 +649,1752 @@ export class FractalTimeEngine {
             Math.max(I * 0.8 + 5, 5), // Position well above plane center, minimum height
             planeZ // Stay on the same Z as the plane
         );
-        
+
         // Make sure sprites are visible
         timeText.sprite.visible = true;
         timeText.glow.visible = true;
     }
 
-    update() {
-        if (!this.isPlaying) return;
-
-        const n = Math.floor(this.t * 3);
-        
-        // Energy starts at 0, increments by 0.3, expands and contracts
-        // When energy reaches limit, it self-consumes (contracts)
-        const energyIncrement = 0.3;
-        const energyLimit = this.config.I_max || 81;
-        
-        // Update energy based on direction (expand or contract)
-        if (this.energyDirection === 1) {
-            // Expanding
-            this.energy += energyIncrement;
-            if (this.energy >= energyLimit) {
-                this.energy = energyLimit;
-                this.energyDirection = -1; // Start contracting (self-consuming)
-            }
-        } else {
-            // Contracting (self-consuming)
-            this.energy -= energyIncrement;
-            if (this.energy <= 0) {
-                this.energy = 0;
-                this.energyDirection = 1; // Start expanding again
-            }
-        }
-        
-        const I = this.energy;
-        let currentI = I;
-
-        // Clear previous frame
-        this.planes.forEach(({ plane, timeText }) => {
-            this.scene.remove(plane);
-            plane.geometry.dispose();
-            plane.material.dispose();
-            
-            // Remove time text
-            if (timeText) {
-                this.scene.remove(timeText.group);
-                timeText.texture.dispose();
-                timeText.material.dispose();
-                timeText.glowMaterial.dispose();
-            }
-        });
-        this.lasers.forEach(laser => {
-            if (laser) {
-                this.scene.remove(laser);
-                laser.geometry.dispose();
-                laser.material.dispose();
-            }
-        });
-        
-        // Clear fractal branches
-        this.fractalBranches.forEach(branch => {
-            this.scene.remove(branch);
-            branch.geometry.dispose();
-            branch.material.dispose();
+    /**
+     * Advance the simulation clock by `elapsed` real seconds and redraw
+     * when it moved.
+     */
+    update(elapsed) {
+        this.plugins.forEach(plugin => {
+            if (plugin.beforeUpdate) plugin.beforeUpdate(this, elapsed);
         });
-        
-        this.planes = [];
-        this.lasers = [];
-        this.timeTexts = [];
-        this.fractalBranches = [];
 
-        // Generate exponential fractals from single energy source
-        // Every 1/3 interval, create exponential expansion
-        const interval = Math.floor(n * 3);
-        const intervalFraction = (n * 3) % 1;
-        
-        const fractalBranches = this.generateFractalFromEnergySource(this.t, n);
-        this.fractalBranches = fractalBranches;
-
-        // Create wave plane for visualization
-        if (I < this.config.I_max) {
-            const plane = this.createPlane(n);
-            if (plane) {
-                this.planes.push(plane);
-                if (plane.timeText) {
-                    this.timeTexts.push(plane.timeText);
-                }
-            }
+        if (this.isPlaying && this.clock.tick(elapsed) !== 0) {
+            this.renderState(this.model.getState());
         }
 
-        // Update time texts to stay on planes
-        this.planes.forEach(({ plane, timeText, I: planeI }) => {
-            if (timeText) {
-                this.updateTimeText(timeText, this.t, plane.position.z, planeI);
-            }
+        this.plugins.forEach(plugin => {
+            if (plugin.afterUpdate) plugin.afterUpdate(this, this.model.getState());
         });
-
-        // Energy conservation: recycle at intervals
-        if (interval % 3 === 2) {
-            // Energy recycling - reduce opacity of older branches
-            this.fractalBranches.forEach((branch, idx) => {
-                if (idx < this.fractalBranches.length / 3) {
-                    branch.material.opacity *= 0.7;
-                }
-            });
-        }
-
-        // Update time
-        this.t += this.config.timeSpeed;
-
-
-        // Update info display
-        this.updateInfo(I, n);
     }
 
-    updateInfo(currentI, n) {
-        if (!this.showInfo) return;
-
-        const infoEl = document.getElementById('info');
-        if (infoEl) {
-            const iMaxEl = document.getElementById('iMax');
-            const eCapEl = document.getElementById('eCap');
-            const currentIEl = document.getElementById('currentI');
-            const timeEl = document.getElementById('time');
-            const planeCountEl = document.getElementById('planeCount');
-            const laserCountEl = document.getElementById('laserCount');
-            const branchCountEl = document.getElementById('branchCount');
-
-            if (iMaxEl) iMaxEl.textContent = this.config.I_max;
-            if (eCapEl) eCapEl.textContent = this.config.E_cap;
-            if (currentIEl) currentIEl.textContent = currentI.toFixed(2);
-            if (timeEl) timeEl.textContent = this.t.toFixed(2);
-            if (planeCountEl) planeCountEl.textContent = this.planes.length;
-            if (laserCountEl) laserCountEl.textContent = this.lasers.length;
-            if (branchCountEl) branchCountEl.textContent = this.fractalBranches.length;
-        }
+    /**
+     * Register a plugin: an object with optional `install(engine)`,
+     * `beforeUpdate(engine, elapsed)`, `afterUpdate(engine, state)` and
+     * `dispose(engine)` hooks. Plugins may add their own objects to
+     * `engine.scene`.
+     */
+    use(plugin) {
+        this.plugins.push(plugin);
+        if (plugin.install) plugin.install(this);
+        return this;
     }
 
-    setupControls() {
-        // Play/Pause
-        const playPauseBtn = document.getElementById('playPause');
-        if (playPauseBtn) {
-            playPauseBtn.addEventListener('click', () => {
-                this.isPlaying = !this.isPlaying;
-                playPauseBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
+    /**
+     * Emit events for one live simulation step (not for seek replays).
+     */
+    handleStep(model) {
+        const { t, n, energy, energyDirection, excess, milestones } = model;
+
+        this.emit('step', { t, n, energy, energyDirection });
+        this.sonifier.step(model);
+
+        if (this.recorder.recording) {
+            this.recorder.record({
+                t,
+                n,
+                interval: model.interval,
+                energy,
+                energyDirection,
+                ...model.measureFrame(),
+                recycles: model.sources.filter(({ system }) => system.recycled > 0).length,
+                frameTime: this.frameTime
             });
         }
 
-        // Reset
-        const resetBtn = document.getElementById('reset');
-        if (resetBtn) {
-            resetBtn.addEventListener('click', () => {
-                this.t = 0;
-                this.energy = 0; // Reset energy to 0
-                this.energyDirection = 1; // Reset to expanding
-                this.camera.position.set(
-                    this.config.cameraPosition.x,
-                    this.config.cameraPosition.y,
-                    this.config.cameraPosition.z
-                );
-                this.controls.reset();
-            });
+        if (milestones.energyPeak) {
+            this.emit('energyPeak', { t, energy });
         }
-
-        // Wireframe toggle
-        const wireframeBtn = document.getElementById('wireframe');
-        if (wireframeBtn) {
-            wireframeBtn.addEventListener('click', () => {
-                this.wireframeMode = !this.wireframeMode;
-                wireframeBtn.classList.toggle('active', this.wireframeMode);
-                this.planes.forEach(({ plane }) => {
-                    plane.material.wireframe = this.wireframeMode;
-                });
-            });
+        if (milestones.energyTrough) {
+            this.emit('energyTrough', { t, energy });
         }
-
-        // Info toggle
-        const infoToggleBtn = document.getElementById('infoToggle');
-        const infoEl = document.getElementById('info');
-        if (infoToggleBtn && infoEl) {
-            infoToggleBtn.addEventListener('click', () => {
-                this.showInfo = !this.showInfo;
-                infoEl.style.display = this.showInfo ? 'block' : 'none';
-                infoToggleBtn.classList.toggle('active', this.showInfo);
+        if (milestones.recycle) {
+            // Summed over all energy sources
+            this.emit('recycle', {
+                t,
+                amount: model.sources.reduce((sum, { system }) => sum + system.recycled, 0),
+                count: model.sources.reduce((sum, { system }) => sum + system.recycleCount, 0)
             });
         }
+        if (milestones.reflect) {
+            this.emit('reflect', { t, excess, rays: model.dispersion.rays.slice(-3) });
+        }
+    }
 
-        // Zoom controls
-        const zoomInBtn = document.getElementById('zoomIn');
-        const zoomOutBtn = document.getElementById('zoomOut');
-        if (zoomInBtn) {
-            zoomInBtn.addEventListener('click', () => {
-                this.zoomCamera(0.8); // Zoom in (reduce distance)
-            });
+    renderState(state) {
+        // Temporal rays dispersed at I_max
+        this.lasers = state.rays;
+        this.updateLasers(state.rays);
+
+        this.updateSourceMarkers(state.sources);
+
+        // Branches and planes arrive as a packed frame, right away or (in
+        // worker mode) once generated
+        this.frameGenerator.request();
+
+        // Update info display
+        this.updateInfo(state.energy, state.n);
+        this.updateTimeline();
+    }
+
+    /**
+     * Draw a packed frame (see src/frame-packing.js) of branches and
+     * wave planes.
+     */
+    renderFrame(frame) {
+        // The drawn frame stays readable (picking) until it is replaced
+        if (this.frame) this.frameGenerator.release(this.frame);
+
+        // Branch ids are per frame: drop the ones this frame lacks
+        this.frame = frame;
+        if (this.selectedBranch !== null && this.selectedBranch >= frame.branchCount) {
+            this.selectedBranch = null;
+            this.emit('branchSelected', { id: null, ancestors: [], descendants: [] });
         }
-        if (zoomOutBtn) {
-            zoomOutBtn.addEventListener('click', () => {
-                this.zoomCamera(1.25); // Zoom out (increase distance)
-            });
+        if (this.hoveredBranch !== null && this.hoveredBranch >= frame.branchCount) {
+            this.hoveredBranch = null;
+            this.emit('branchHovered', { id: null });
         }
+        this.branchHighlight = this.buildBranchHighlight();
+        this.pickStale = true;
 
-        // Keyboard controls
-        window.addEventListener('keydown', (e) => {
-            if (e.key === '+' || e.key === '=') {
-                this.zoomCamera(0.8);
-            } else if (e.key === '-' || e.key === '_') {
-                this.zoomCamera(1.25);
-            } else if (e.key === 'ArrowUp') {
-                this.rotateCamera(0, -0.1);
-            } else if (e.key === 'ArrowDown') {
-                this.rotateCamera(0, 0.1);
-            } else if (e.key === 'ArrowLeft') {
-                this.rotateCamera(-0.1, 0);
-            } else if (e.key === 'ArrowRight') {
-                this.rotateCamera(0.1, 0);
+        this.colorRanges = {
+            branch: this.colorRange(this.config.branchColor, frame),
+            plane: this.colorRange(this.config.planeColor, frame)
+        };
+
+        this.branchCount = frame.branchCount;
+        this.updateBranches(frame);
+
+        // Wave planes re-deform pooled meshes; unused ones are hidden.
+        // History planes take the pool slots after the current ones.
+        const drawnPlanes = frame.planes.map((planeData, i) => this.updatePlane(i, planeData, planeData.fade));
+        this.planes = drawnPlanes.slice(0, frame.planeCount);
+        this.planes.forEach(({ n, I, plane }) => {
+            if (n !== this.lastPlaneN) {
+                this.lastPlaneN = n;
+                this.emit('planeCreated', { n, I, z: plane.position.z });
             }
         });
+        this.planePool.slice(drawnPlanes.length).forEach(({ plane, timeText }) => {
+            plane.visible = false;
+            timeText.group.visible = false;
+        });
+        this.timeTexts = drawnPlanes.map(({ timeText }) => timeText);
+
+        // Update time texts to stay on planes
+        drawnPlanes.forEach(({ plane, timeText, t, I: planeI }) => {
+            this.updateTimeText(timeText, t, plane.position.z, planeI);
+        });
+
+        this.updateLegend();
     }
 
-    zoomCamera(factor) {
-        // Get current distance from target
-        const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target);
-        const distance = direction.length();
-        const newDistance = distance * factor;
-        
-        // Clamp to min/max
-        const clampedDistance = Math.max(
-            this.controls.minDistance,
-            Math.min(this.controls.maxDistance, newDistance)
-        );
-        
-        // Apply new distance
-        direction.normalize().multiplyScalar(clampedDistance);
-        this.camera.position.copy(this.controls.target).add(direction);
-        this.controls.update();
+    /**
+     * Show or hide the color legend (it only appears while a quantity is
+     * mapped).
+     */
+    setLegendVisible(visible) {
+        this.showLegend = visible;
+        this.updateLegend();
     }
 
-    rotateCamera(horizontal, vertical) {
-        // Rotate camera around target
-        const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target);
-        const distance = direction.length();
-        
-        // Create rotation
-        const axis = new THREE.Vector3(0, 1, 0); // Y-axis for horizontal rotation
-        const quaternion = new THREE.Quaternion().setFromAxisAngle(axis, horizontal);
-        direction.applyQuaternion(quaternion);
-        
-        // Vertical rotation
-        const right = new THREE.Vector3().crossVectors(direction, axis).normalize();
-        const verticalQuat = new THREE.Quaternion().setFromAxisAngle(right, vertical);
-        direction.applyQuaternion(verticalQuat);
-        
-        // Update camera position
-        this.camera.position.copy(this.controls.target).add(direction.normalize().multiplyScalar(distance));
-        this.controls.update();
+    /**
+     * Redraw the legend: a gradient bar with its range for each mapped
+     * quantity. Rebuilt only when the palette, modes or ranges change.
+     */
+    updateLegend() {
+        const legendEl = this.getElement('legend');
+        const legendBtn = this.getElement('legendToggle');
+        if (legendBtn) legendBtn.classList.toggle('active', this.showLegend);
+        if (!legendEl) return;
+
+        const entries = ['branch', 'plane']
+            .filter(target => this.colorRanges[target])
+            .map(target => ({ title: COLOR_LEGEND_TITLES[target][this.colorRanges[target].mode], range: this.colorRanges[target] }));
+
+        const visible = this.showLegend && entries.length > 0;
+        legendEl.style.display = visible ? 'block' : 'none';
+        if (!visible) return;
+
+        const gradient = this.colorScale.toCSS();
+        const format = value => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+        const key = JSON.stringify([gradient, entries.map(({ title, range }) => [title, format(range.min), format(range.max)])]);
+        if (key === this.legendKey) return;
+        this.legendKey = key;
+
+        legendEl.replaceChildren(...entries.map(({ title, range }) => {
+            const row = document.createElement('div');
+            row.className = 'legend-row';
+
+            const name = document.createElement('p');
+            name.textContent = title;
+
+            const bar = document.createElement('div');
+            bar.className = 'legend-bar';
+            bar.style.background = gradient;
+
+            const labels = document.createElement('p');
+            labels.className = 'legend-labels';
+            const min = document.createElement('span');
+            min.textContent = format(range.min);
+            const max = document.createElement('span');
+            max.textContent = format(range.max);
+            labels.append(min, max);
+
+            row.append(name, bar, labels);
+            return row;
+        }));
     }
 
-    handleResize() {
-        const width = this.container.clientWidth;
-        const height = this.container.clientHeight;
+    seek(t) {
+        this.clock.seek(t);
+        this.renderState(this.model.getState());
+    }
 
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(width, height);
+    /**
+     * Playback speed multiplier; negative values play in reverse.
+     */
+    setPlaybackRate(rate) {
+        this.clock.setPlaybackRate(rate);
+        const reverseBtn = this.getElement('reverse');
+        if (reverseBtn) {
+            reverseBtn.classList.toggle('active', rate < 0);
+        }
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    stepForward() {
+        this.clock.stepForward();
+        this.renderState(this.model.getState());
+    }
 
-        this.update();
-        this.controls.update();
-        this.renderer.render(this.scene, this.camera);
+    stepBackward() {
+        this.clock.stepBackward();
+        this.renderState(this.model.getState());
     }
 
-    dispose() {
-        // Clean up geometries and materials
-        this.planes.forEach(({ plane, timeText }) => {
-            plane.geometry.dispose();
-            plane.material.dispose();
-            this.scene.remove(plane);
-            
-            if (timeText) {
-                this.scene.remove(timeText.group);
-                timeText.texture.dispose();
-                timeText.material.dispose();
-                timeText.glowMaterial.dispose();
+    updateTimeline() {
+        const timelineEl = this.getElement('timeline');
+        const timelineTimeEl = this.getElement('timelineTime');
+
+        // The scrubber range grows with the furthest time reached
+        this.timelineMax = Math.max(this.timelineMax || 10, Math.ceil(this.t));
+
+        if (timelineEl && !this.scrubbing) {
+            timelineEl.max = this.timelineMax;
+            timelineEl.value = this.t;
+        }
+        if (timelineTimeEl) timelineTimeEl.textContent = this.t.toFixed(2);
+    }
+
+    /**
+     * Serialize the current frame's branches and wave plane as 'gltf',
+     * 'obj' or 'stl'. Returns `{ format, data, extension, mimeType }`.
+     */
+    exportFrame({ format = 'gltf', radialSegments = 8 } = {}) {
+        return this.withFullDetail(() => exportFrame(this.model.getState(), { format, radialSegments }));
+    }
+
+    downloadFrame(format = 'gltf') {
+        const { data, extension, mimeType } = this.exportFrame({ format });
+        downloadFile(data, `fractal-t${this.t.toFixed(2)}.${extension}`, mimeType);
+    }
+
+    /**
+     * SVG projection of the current frame, through the live camera by
+     * default or an orthographic 'top', 'front' or 'side' view.
+     */
+    exportSVG(options = {}) {
+        const size = this.renderer.getSize(new THREE.Vector2());
+        this.camera.updateMatrixWorld();
+
+        return this.withFullDetail(() => exportSVG(this.model.getState(), {
+            view: 'camera',
+            camera: this.camera,
+            width: size.x,
+            height: size.y,
+            ...options
+        }));
+    }
+
+    downloadSVG(view = 'camera') {
+        downloadFile(this.exportSVG({ view }), `fractal-t${this.t.toFixed(2)}-${view}.svg`, 'image/svg+xml');
+    }
+
+    /**
+     * Start sampling metrics every live step (see src/recorder.js for the
+     * columns), dropping any previous recording. The ring buffer keeps
+     * the last `capacity` steps.
+     */
+    startRecording(options = {}) {
+        this.recorder.start(options);
+        this.updateRecordButton();
+    }
+
+    /**
+     * Stop sampling and return the recorded samples.
+     */
+    stopRecording() {
+        this.recorder.stop();
+        this.updateRecordButton();
+        return this.recorder.samples();
+    }
+
+    get isRecording() {
+        return this.recorder.recording;
+    }
+
+    /**
+     * Samples recorded so far, oldest first.
+     */
+    getRecording() {
+        return this.recorder.samples();
+    }
+
+    /**
+     * The recording as 'csv' text or a 'json' array of samples.
+     */
+    exportRecording(format = 'csv') {
+        if (format === 'csv') return this.recorder.toCSV();
+        if (format === 'json') return JSON.stringify(this.recorder);
+        throw new Error(`Unknown metrics format: ${format}`);
+    }
+
+    downloadRecording(format = 'csv') {
+        const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+        downloadFile(this.exportRecording(format), `fractal-metrics-t${this.t.toFixed(2)}.${format}`, mimeType);
+    }
+
+    updateRecordButton() {
+        const recordBtn = this.getElement('record');
+        if (recordBtn) {
+            recordBtn.textContent = this.isRecording ? '⏹ Stop' : '⏺ Record';
+            recordBtn.classList.toggle('active', this.isRecording);
+        }
+    }
+
+    /**
+     * Let sound drive the model (see src/audio-input.js): an
+     * HTMLMediaElement, a MediaStream, an AudioBuffer, an audio File, Blob
+     * or ArrayBuffer (decoded and looped), or 'microphone'. Replaces the
+     * current audio source; `options` go to setAudioOptions().
+     */
+    async startAudio(input, options) {
+        if (options) this.setAudioOptions(options);
+
+        let source = input;
+        let stream = null;
+        if (input === 'microphone') {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('Microphone input is not supported here');
             }
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            source = stream;
+        } else if (input instanceof ArrayBuffer || (typeof Blob !== 'undefined' && input instanceof Blob)) {
+            source = await this.audioInput.decode(input);
+        }
+
+        this.releaseAudio();
+        try {
+            await this.audioInput.connect(source);
+        } catch (error) {
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            throw error;
+        }
+        this.audioStream = stream;
+
+        this.updateAudioControls();
+        this.emit('audioChanged', { active: true, microphone: stream !== null });
+    }
+
+    /**
+     * Disconnect the audio source and return the model to its configured
+     * dynamics.
+     */
+    stopAudio() {
+        if (!this.audioInput.connected) return;
+
+        this.releaseAudio();
+        this.model.setModulation(NEUTRAL_MODULATION);
+
+        this.updateAudioControls();
+        this.emit('audioChanged', { active: false, microphone: false });
+    }
+
+    releaseAudio() {
+        this.audioInput.disconnect();
+        if (this.audioStream) {
+            this.audioStream.getTracks().forEach(track => track.stop());
+            this.audioStream = null;
+        }
+    }
+
+    get isAudioActive() {
+        return this.audioInput.connected;
+    }
+
+    /**
+     * Change how sound maps onto the model: `{ bands, mappings,
+     * sensitivity, smoothing, onsetThreshold, onsetRelease, fftSize }` (see
+     * src/audio-input.js). Left-out options keep their values.
+     */
+    setAudioOptions(options) {
+        this.audioInput.setOptions(options);
+
+        const sensitivityEl = this.getElement('audioSensitivity');
+        if (sensitivityEl) sensitivityEl.value = this.audioInput.analyzer.options.sensitivity;
+    }
+
+    /**
+     * Current audio features `{ rms, onset, bass, mid, treble }` (one per
+     * band), each from 0 to 1.
+     */
+    getAudioFeatures() {
+        return { ...this.audioInput.analyzer.features };
+    }
+
+    /**
+     * Read the audio for this frame and modulate the model with it.
+     */
+    updateAudio(elapsed) {
+        const reading = this.audioInput.read(elapsed);
+        if (!reading) return;
+
+        this.model.setModulation(this.audioInput.analyzer.modulation());
+        if (reading.onset) {
+            this.emit('audioOnset', { t: this.t, features: reading.features });
+        }
+    }
+
+    updateAudioControls() {
+        const audioBtn = this.getElement('audioToggle');
+        if (audioBtn) {
+            audioBtn.textContent = this.isAudioActive ? '⏹ Audio' : '🎤 Mic';
+            audioBtn.classList.toggle('active', this.isAudioActive);
+        }
+    }
+
+    /**
+     * Play the dynamics as sound (see src/sonification.js) from the next
+     * step; `options` go to setSoundOptions(). Call it from a user gesture,
+     * as browsers only start audio after one.
+     */
+    async startSound(options) {
+        if (options) this.setSoundOptions(options);
+
+        const context = this.audioInput.ensureContext();
+        if (context.state === 'suspended') await context.resume();
+        this.sonifier.start(context, this.model);
+
+        this.updateSoundControls();
+        this.emit('soundChanged', this.getSoundState());
+    }
+
+    stopSound() {
+        if (!this.sonifier.active) return;
+
+        this.sonifier.stop();
+        this.updateSoundControls();
+        this.emit('soundChanged', this.getSoundState());
+    }
+
+    get isSounding() {
+        return this.sonifier.active;
+    }
+
+    /**
+     * Change the sonification: `{ volume, muted, baseFrequency, pitchRange,
+     * chords, maxPartials, glide, hitDecay }` (see src/sonification.js).
+     * Left-out options keep their values.
+     */
+    setSoundOptions(options) {
+        this.sonifier.setOptions(options);
+        this.updateSoundControls();
+        if ('volume' in options || 'muted' in options) {
+            this.emit('soundChanged', this.getSoundState());
+        }
+    }
+
+    setVolume(volume) {
+        this.setSoundOptions({ volume });
+    }
+
+    setMuted(muted) {
+        this.setSoundOptions({ muted });
+    }
+
+    getSoundState() {
+        const { volume, muted } = this.sonifier.options;
+        return { active: this.isSounding, volume, muted };
+    }
+
+    /**
+     * Render the sound of simulation times `from` to `to` into an
+     * AudioBuffer, as it plays live at rate 1. The range is simulated on
+     * a copy of the model, restored from the nearest checkpoint, so the
+     * view is left alone and times not reached yet work too.
+     */
+    async renderSound({ from = 0, to = this.t, sampleRate = 44100 } = {}) {
+        if (!(from >= 0 && to > from)) {
+            throw new Error(`Sound range must start at 0 or later and end after it starts (got ${from} to ${to})`);
+        }
+
+        const model = new FractalModel(this.config);
+        model.setSources(this.model.sources.map(({ id, position, phase, weight, profile }) => ({ id, position, phase, weight, profile })));
+        model.deferGeometry = true;
+
+        const clock = new SimulationClock(model);
+        clock.checkpoints = this.clock.checkpoints.slice();
+        clock.seek(from);
+
+        return renderSonification(model, {
+            ...this.sonifier.options,
+            steps: clock.stepIndex(to) - clock.stepIndex(from),
+            dt: clock.dt,
+            stepsPerSecond: this.config.stepsPerSecond,
+            sampleRate
         });
-        this.lasers.forEach(laser => {
-            if (laser) {
-                laser.geometry.dispose();
-                laser.material.dispose();
-                this.scene.remove(laser);
+    }
+
+    /**
+     * The sound of a time range (see renderSound) as a 16-bit WAV
+     * ArrayBuffer.
+     */
+    async exportWAV(range) {
+        const buffer = await this.renderSound(range);
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+        return toWAV(channels, buffer.sampleRate);
+    }
+
+    async downloadWAV(range = {}) {
+        const { from = 0, to = this.t } = range;
+        downloadFile(await this.exportWAV({ ...range, from, to }), `fractal-sound-t${from.toFixed(2)}-${to.toFixed(2)}.wav`, 'audio/wav');
+    }
+
+    updateSoundControls() {
+        const { volume, muted } = this.sonifier.options;
+
+        const soundBtn = this.getElement('soundToggle');
+        if (soundBtn) {
+            soundBtn.textContent = this.isSounding ? '⏹ Sound' : '🎶 Sound';
+            soundBtn.classList.toggle('active', this.isSounding);
+        }
+
+        const muteBtn = this.getElement('soundMute');
+        if (muteBtn) muteBtn.classList.toggle('active', muted);
+
+        const volumeEl = this.getElement('soundVolume');
+        if (volumeEl) volumeEl.value = volume;
+    }
+
+    /**
+     * Run `callback` with the model's frame at full detail, so exports
+     * are not degraded by a lowered quality level.
+     */
+    withFullDetail(callback) {
+        if (this.quality.level === 0) return callback();
+
+        this.model.setDetail(null);
+        this.model.buildFrame();
+        try {
+            return callback();
+        } finally {
+            this.model.setDetail(this.quality.current);
+            this.model.buildFrame();
+        }
+    }
+
+    /**
+     * Validate and apply a partial config update live, without
+     * reconstructing the engine. Throws a ConfigError on invalid values
+     * and returns the values applied (including derived ones like I_max).
+     */
+    setConfig(partial) {
+        const update = this.model.setConfig(partial);
+
+        this.handleConfigApplied(update);
+        this.refreshFrame();
+
+        return update;
+    }
+
+    /**
+     * Engine side of config values the model has just taken (from
+     * setConfig or a snapshot). The caller redraws.
+     */
+    handleConfigApplied(update) {
+        if ('quality' in update) {
+            this.quality.reset();
+            this.quality.sync();
+            this.applyQualityLevel();
+        }
+        if ('palette' in update) {
+            this.colorScale = new ColorScale(this.config.palette, { linear: true });
+        }
+        this.updateConfigPanel();
+        this.updateColorControls();
+    }
+
+    /**
+     * Redraw the current frame after a change to the config or sources.
+     */
+    refreshFrame() {
+        // Recorded checkpoints ahead of now assumed the old setup
+        this.clock.invalidateAfter(this.t);
+
+        this.model.buildFrame();
+        this.renderState(this.model.getState());
+    }
+
+    /**
+     * 'auto' to adapt the level of detail to the frame budget, or a level
+     * name ('high', 'medium', 'low', 'minimal') to pin it.
+     */
+    setQuality(mode) {
+        this.setConfig({ quality: mode });
+    }
+
+    /**
+     * Current quality `{ mode, level, name, fps, frameTime, segments,
+     * drawCalls }`; fps and frameTime (ms) are running averages.
+     */
+    getQuality() {
+        return this.quality.describe();
+    }
+
+    /**
+     * Hand the quality manager's current level to the model and swap the
+     * branch geometry to its radial segments. The caller rebuilds the
+     * frame; the simulation itself is unaffected.
+     */
+    applyQualityLevel() {
+        const level = this.quality.current;
+        this.model.setDetail(level);
+
+        if (this.branchGeometry.parameters.radialSegments !== level.radialSegments) {
+            const previous = this.branchGeometry;
+            this.branchGeometry = this.createBranchGeometry(level.radialSegments);
+            this.branchMesh.geometry = this.branchGeometry;
+            previous.dispose();
+        }
+    }
+
+    /**
+     * Add an energy source `{ position, phase, weight, profile }` and
+     * return its id. See FractalModel#addSource.
+     */
+    addSource(spec) {
+        const id = this.model.addSource(spec);
+        this.handleSourcesChanged();
+        return id;
+    }
+
+    updateSource(id, changes) {
+        this.model.updateSource(id, changes);
+        this.handleSourcesChanged();
+    }
+
+    moveSource(id, position) {
+        this.model.moveSource(id, position);
+        this.handleSourcesChanged();
+    }
+
+    removeSource(id) {
+        this.model.removeSource(id);
+        this.handleSourcesChanged();
+    }
+
+    getSources() {
+        return this.model.getState().sources;
+    }
+
+    handleSourcesChanged() {
+        this.refreshFrame();
+        this.emit('sourcesChanged', { sources: this.getSources() });
+    }
+
+    /**
+     * Click-to-place: while on, a click in the viewport adds a source
+     * where it hits the z = 0 plane, or removes an added source near it.
+     */
+    setPlacingSources(enabled) {
+        this.placingSources = enabled;
+
+        const placeBtn = this.getElement('placeSource');
+        if (placeBtn) placeBtn.classList.toggle('active', enabled);
+    }
+
+    /**
+     * Point on the z = 0 plane under viewport pixel (clientX, clientY),
+     * or null when the view ray misses it.
+     */
+    pickSourcePlane(clientX, clientY) {
+        this.setPointerRay(clientX, clientY);
+
+        const hit = this.raycaster.ray.intersectPlane(_sourcePlane, new THREE.Vector3());
+        return hit ? { x: hit.x, y: hit.y, z: hit.z } : null;
+    }
+
+    /**
+     * Aim the raycaster through viewport pixel (clientX, clientY); returns
+     * the canvas rectangle.
+     */
+    setPointerRay(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        _pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(_pointer, this.camera);
+        return rect;
+    }
+
+    handleSourceClick(clientX, clientY) {
+        const point = this.pickSourcePlane(clientX, clientY);
+        if (!point) return;
+
+        // Clicking an added source removes it; anywhere else adds one
+        const near = this.model.sources.slice(1).find(({ position }) =>
+            Math.hypot(position.x - point.x, position.y - point.y) < 1.5);
+        if (near) {
+            this.removeSource(near.id);
+        } else {
+            this.addSource({ position: point });
+        }
+    }
+
+    /**
+     * Id of the current step's branch under viewport pixel (clientX,
+     * clientY), the one nearest the camera, or null. Hits are tested
+     * against the drawn frame's segments, not the triangles.
+     */
+    pickBranch(clientX, clientY) {
+        const frame = this.frame;
+        if (!frame) return null;
+
+        const rect = this.setPointerRay(clientX, clientY);
+        const { ray } = this.raycaster;
+
+        // World size of a pixel at unit distance from the camera
+        const pixel = 2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) / rect.height;
+
+        let picked = null;
+        let nearest = Infinity;
+        for (let i = 0; i < frame.branchCount; i++) {
+            segmentEndpoints(frame, i, _start, _end);
+            const distanceSq = ray.distanceSqToSegment(_start, _end, _onRay);
+            const along = _onRay.distanceTo(ray.origin);
+
+            const m = i * MATRIX_FLOATS;
+            const radius = Math.hypot(frame.matrices[m], frame.matrices[m + 1], frame.matrices[m + 2]);
+            const tolerance = Math.max(radius, PICK_TOLERANCE * pixel * along);
+
+            if (distanceSq <= tolerance * tolerance && along < nearest) {
+                picked = i;
+                nearest = along;
             }
+        }
+
+        return picked;
+    }
+
+    /**
+     * Branch `id` of the drawn frame: `{ id, n, t, parent, children,
+     * ancestors, descendants, depth, energy, opacity, radius, length,
+     * interval, start, end }`, with `ancestors` nearest first and
+     * `descendants` its whole subtree; null when there is no such branch.
+     *
+     * Ids index the current step's branches (main branches and their
+     * subtrees, source by source) and are reassigned every step.
+     */
+    getBranchInfo(id) {
+        const frame = this.frame;
+        if (!frame || !Number.isInteger(id) || id < 0 || id >= frame.branchCount) return null;
+
+        const { matrices, bounds, energies, opacities, intervals, parents } = frame;
+        const depth = bounds[id * BOUNDS_FLOATS + 4];
+
+        const ancestors = [];
+        for (let parent = parents[id]; parent !== -1; parent = parents[parent]) {
+            ancestors.push(parent);
+        }
+
+        // Segments are in pre-order, so the subtree follows the branch
+        const descendants = [];
+        for (let i = id + 1; i < frame.branchCount && bounds[i * BOUNDS_FLOATS + 4] > depth; i++) {
+            descendants.push(i);
+        }
+
+        segmentEndpoints(frame, id, _start, _end);
+        const m = id * MATRIX_FLOATS;
+
+        return {
+            id,
+            n: frame.n,
+            t: frame.t,
+            parent: parents[id] === -1 ? null : parents[id],
+            children: descendants.filter(i => parents[i] === id),
+            ancestors,
+            descendants,
+            depth,
+            energy: energies[id],
+            opacity: opacities[id],
+            radius: Math.hypot(matrices[m], matrices[m + 1], matrices[m + 2]),
+            length: bounds[id * BOUNDS_FLOATS + 3],
+            interval: intervals[id],
+            start: { x: _start.x, y: _start.y, z: _start.z },
+            end: { x: _end.x, y: _end.y, z: _end.z }
+        };
+    }
+
+    /**
+     * Select branch `id`, or clear the selection with null: the branch,
+     * its ancestors and its subtree are highlighted and the rest dims.
+     * Returns the branch's info.
+     */
+    selectBranch(id) {
+        const info = id === null ? null : this.getBranchInfo(id);
+        if (id !== null && !info) {
+            throw new Error(`Unknown branch: ${id}`);
+        }
+
+        this.selectedBranch = id;
+        this.refreshBranchHighlight();
+        this.emit('branchSelected', { id, ancestors: info ? info.ancestors : [], descendants: info ? info.descendants : [] });
+
+        return info;
+    }
+
+    setHoveredBranch(id) {
+        if (id === this.hoveredBranch) return;
+
+        this.hoveredBranch = id;
+        this.refreshBranchHighlight();
+        this.emit('branchHovered', { id });
+    }
+
+    /**
+     * Re-pick the branch under the pointer, after the pointer, camera or
+     * frame moved, and follow it with the tooltip.
+     */
+    updateHover() {
+        this.pickStale = false;
+        this.setHoveredBranch(this.pointer ? this.pickBranch(this.pointer.x, this.pointer.y) : null);
+        this.updateTooltip();
+    }
+
+    /**
+     * Highlight kind per branch of the drawn frame, or null when nothing
+     * is hovered or selected.
+     */
+    buildBranchHighlight() {
+        const { frame, hoveredBranch, selectedBranch } = this;
+        if (!frame || (hoveredBranch === null && selectedBranch === null)) return null;
+
+        const highlight = new Uint8Array(frame.branchCount);
+        if (selectedBranch !== null) {
+            const { ancestors, descendants } = this.getBranchInfo(selectedBranch);
+            ancestors.forEach(i => { highlight[i] = ANCESTOR; });
+            descendants.forEach(i => { highlight[i] = DESCENDANT; });
+            highlight[selectedBranch] = SELECTED;
+        }
+        if (hoveredBranch !== null) {
+            highlight[hoveredBranch] = HOVERED;
+        }
+
+        return highlight;
+    }
+
+    // Recolor the drawn frame's branches for a new hover or selection
+    refreshBranchHighlight() {
+        this.branchHighlight = this.buildBranchHighlight();
+        if (this.frame) this.updateBranches(this.frame);
+    }
+
+    updateTooltip() {
+        const tooltipEl = this.getElement('tooltip');
+        if (!tooltipEl) return;
+
+        const info = this.pointer && this.hoveredBranch !== null ? this.getBranchInfo(this.hoveredBranch) : null;
+        tooltipEl.style.display = info ? 'block' : 'none';
+        if (!info) return;
+
+        const point = ({ x, y, z }) => `(${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`;
+        const title = document.createElement('h3');
+        title.textContent = `Branch #${info.id}`;
+
+        const rows = [
+            ['Depth', info.depth],
+            ['Energy', info.energy.toFixed(3)],
+            ['Parent', info.parent === null ? 'main branch' : `#${info.parent}`],
+            ['Interval', info.interval],
+            ['Start', point(info.start)],
+            ['End', point(info.end)]
+        ].map(([label, value]) => {
+            const row = document.createElement('p');
+            const name = document.createElement('strong');
+            name.textContent = `${label}:`;
+            row.append(name, ` ${value}`);
+            return row;
         });
-        
-        // Clean up fractal branches
-        this.fractalBranches.forEach(branch => {
-            branch.geometry.dispose();
-            branch.material.dispose();
-            this.scene.remove(branch);
+
+        tooltipEl.replaceChildren(title, ...rows);
+        tooltipEl.style.left = `${this.pointer.x + 14}px`;
+        tooltipEl.style.top = `${this.pointer.y + 14}px`;
+    }
+
+    /**
+     * Switch to a new jitter seed (random unless given) and return it.
+     * Only visible while `jitter` is above 0.
+     */
+    reseed(seed = Math.floor(Math.random() * 4294967296)) {
+        this.setConfig({ seed });
+        return seed;
+    }
+
+    /**
+     * Sliders and number inputs for every schema key with a `ui` range.
+     */
+    setupConfigPanel() {
+        const panelEl = this.getElement('configPanel');
+        if (!panelEl) return;
+
+        const errorEl = document.createElement('p');
+        errorEl.className = 'config-error';
+
+        this.configInputs = {};
+
+        Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+            if (!spec.ui) return;
+
+            const row = document.createElement('label');
+            row.className = 'config-row';
+
+            const name = document.createElement('span');
+            name.textContent = key;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            const number = document.createElement('input');
+            number.type = 'number';
+            [slider, number].forEach(input => {
+                input.min = spec.ui.min;
+                input.max = spec.ui.max;
+                input.step = spec.ui.step;
+                input.value = this.config[key];
+            });
+            // The number input may go beyond the slider; the schema decides
+            number.removeAttribute('min');
+            number.removeAttribute('max');
+
+            const apply = (input) => {
+                if (input.value === '') return;
+                try {
+                    this.setConfig({ [key]: Number(input.value) });
+                    errorEl.textContent = '';
+                    number.removeAttribute('aria-invalid');
+                } catch (error) {
+                    if (!(error instanceof ConfigError)) throw error;
+                    errorEl.textContent = error.message;
+                    number.setAttribute('aria-invalid', 'true');
+                }
+            };
+            this.listen(slider, 'input', () => apply(slider));
+            this.listen(number, 'change', () => apply(number));
+
+            row.append(name, slider, number);
+            panelEl.appendChild(row);
+            this.createdElements.push(row);
+            this.configInputs[key] = [slider, number];
         });
 
-        this.controls.dispose();
-        this.renderer.dispose();
-        
-        window.removeEventListener('resize', this.handleResize);
+        panelEl.appendChild(errorEl);
+        this.createdElements.push(errorEl);
+    }
+
+    // Custom palettes have no option and leave the palette select blank
+    updateColorControls() {
+        ['branchColor', 'planeColor', 'palette'].forEach(key => {
+            const selectEl = this.getElement(key);
+            if (selectEl) selectEl.value = typeof this.config[key] === 'string' ? this.config[key] : '';
+        });
     }
-}
 
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        const demo = new FractalTimeEngine('container', {
-            r: 3,
-            I_max: 81,
-            E_cap: 13,
-            timeSpeed: 0.01
+    updateConfigPanel() {
+        if (!this.configInputs) return;
+
+        Object.entries(this.configInputs).forEach(([key, inputs]) => {
+            inputs.forEach(input => {
+                // Don't fight the user while they type
+                if (!input.matches(':focus')) {
+                    input.value = this.config[key];
+                }
+            });
         });
+    }
+
+    /**
+     * Everything needed to reproduce this exact view: config, time,
+     * energy and camera.
+     */
+    getSnapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            config: serializableConfig(this.config),
+            t: this.t,
+            energy: this.energy,
+            energyDirection: this.energyDirection,
+            sources: serializableSources(this.getSources()),
+            camera: {
+                position: { x: this.camera.position.x, y: this.camera.position.y, z: this.camera.position.z },
+                target: { x: this.controls.target.x, y: this.controls.target.y, z: this.controls.target.z }
+            }
+        };
+    }
+
+    loadSnapshot(snapshot) {
+        const { config, t = 0, energy, energyDirection, sources = DEFAULT_SOURCES, camera } = validateSnapshot(snapshot);
+
+        this.handleConfigApplied(this.model.setConfig(config));
+        this.model.setSources(sources);
+
+        // Replay from t = 0 so the energy field, rays and seek
+        // checkpoints all lead up to the snapshot
+        this.model.reset();
+        this.clock.reset();
+        this.timelineMax = 0;
+        this.clock.seek(t);
+
+        // A snapshot of a hand-modified state (or of sources added
+        // mid-run) wins over the replay
+        const saved = [{ energy, energyDirection }, ...sources.slice(1)];
+        const overrides = this.model.sources.map(({ system }, i) => ({ system, ...saved[i] }));
+        const overridden = overrides.some(({ system, energy, energyDirection }) =>
+            (energy !== undefined && energy !== system.energy)
+            || (energyDirection !== undefined && energyDirection !== system.energyDirection));
+        if (overridden) {
+            overrides.forEach(({ system, energy, energyDirection }) => {
+                if (energy !== undefined) system.energy = energy;
+                if (energyDirection !== undefined) system.energyDirection = energyDirection;
+            });
+            this.clock.reset(); // Earlier checkpoints no longer lead here
+            this.model.buildFrame();
+        }
+
+        if (camera) {
+            this.camera.position.set(camera.position.x, camera.position.y, camera.position.z);
+            this.controls.target.set(camera.target.x, camera.target.y, camera.target.z);
+            this.controls.update();
+        }
+
+        this.renderState(this.model.getState());
+    }
+
+    loadPreset(id) {
+        this.loadSnapshot(getPreset(id).snapshot);
+    }
+
+    /**
+     * Current page URL with the snapshot in its hash.
+     */
+    getShareURL() {
+        const url = new URL(window.location.href);
+        url.hash = snapshotToHash(this.getSnapshot());
+        return url.toString();
+    }
+
+    downloadSnapshot() {
+        const json = JSON.stringify(this.getSnapshot(), null, 2);
+        downloadFile(json, `fractal-snapshot-t${this.t.toFixed(2)}.json`, 'application/json');
+    }
+
+    /**
+     * Pause or resume the simulation (the render loop keeps running).
+     */
+    setPlaying(playing) {
+        this.isPlaying = playing;
+        if (!playing) this.sonifier.silence();
+
+        const playPauseBtn = this.getElement('playPause');
+        if (playPauseBtn) playPauseBtn.textContent = playing ? '⏸ Pause' : '▶ Play';
+    }
+
+    setWireframe(enabled) {
+        this.wireframeMode = enabled;
+        this.planePool.forEach(({ plane }) => {
+            plane.material.wireframe = enabled;
+        });
+        if (this.branchMaterial) {
+            this.branchMaterial.wireframe = enabled;
+        }
+
+        const wireframeBtn = this.getElement('wireframe');
+        if (wireframeBtn) wireframeBtn.classList.toggle('active', enabled);
+    }
+
+    updateInfo(currentI, n) {
+        if (!this.showInfo) return;
+
+        const infoEl = this.getElement('info');
+        if (infoEl) {
+            const iMaxEl = this.getElement('iMax');
+            const eCapEl = this.getElement('eCap');
+            const currentIEl = this.getElement('currentI');
+            const timeEl = this.getElement('time');
+            const planeCountEl = this.getElement('planeCount');
+            const laserCountEl = this.getElement('laserCount');
+            const branchCountEl = this.getElement('branchCount');
+            const sourceCountEl = this.getElement('sourceCount');
+            const qualityEl = this.getElement('quality');
+
+            if (iMaxEl) iMaxEl.textContent = this.config.I_max;
+            if (eCapEl) eCapEl.textContent = this.config.E_cap;
+            if (currentIEl) currentIEl.textContent = currentI.toFixed(2);
+            if (timeEl) timeEl.textContent = this.t.toFixed(2);
+            if (planeCountEl) planeCountEl.textContent = this.planes.length;
+            if (laserCountEl) laserCountEl.textContent = this.lasers.length;
+            if (branchCountEl) branchCountEl.textContent = this.branchCount;
+            if (sourceCountEl) sourceCountEl.textContent = this.model.sources.length;
+            if (qualityEl) {
+                const { mode, name, fps } = this.getQuality();
+                qualityEl.textContent = `${name}${mode === 'auto' ? ' (auto)' : ''}${fps ? `, ${fps.toFixed(0)} fps` : ''}`;
+            }
+        }
+    }
+
+    setupControls() {
+        // Play/Pause
+        const playPauseBtn = this.getElement('playPause');
+        if (playPauseBtn) {
+            this.listen(playPauseBtn, 'click', () => {
+                this.setPlaying(!this.isPlaying);
+            });
+        }
+
+        // Reset
+        const resetBtn = this.getElement('reset');
+        if (resetBtn) {
+            this.listen(resetBtn, 'click', () => {
+                this.model.reset(); // Time and energy back to 0, expanding
+                this.clock.reset();
+                this.timelineMax = 0;
+                this.seek(0);
+                this.camera.position.set(
+                    this.config.cameraPosition.x,
+                    this.config.cameraPosition.y,
+                    this.config.cameraPosition.z
+                );
+                this.controls.reset();
+            });
+        }
+
+        // Single-step and reverse playback
+        const stepBackBtn = this.getElement('stepBack');
+        const stepForwardBtn = this.getElement('stepForward');
+        const reverseBtn = this.getElement('reverse');
+        if (stepBackBtn) {
+            this.listen(stepBackBtn, 'click', () => this.stepBackward());
+        }
+        if (stepForwardBtn) {
+            this.listen(stepForwardBtn, 'click', () => this.stepForward());
+        }
+        if (reverseBtn) {
+            this.listen(reverseBtn, 'click', () => {
+                this.setPlaybackRate(-this.clock.playbackRate || -1);
+            });
+        }
+
+        // Timeline scrubber
+        const timelineEl = this.getElement('timeline');
+        if (timelineEl) {
+            // Captured, so the release lands here even off the slider
+            this.listen(timelineEl, 'pointerdown', (e) => {
+                this.scrubbing = true;
+                timelineEl.setPointerCapture(e.pointerId);
+            });
+            ['pointerup', 'pointercancel', 'change'].forEach(type => {
+                this.listen(timelineEl, type, () => {
+                    this.scrubbing = false;
+                });
+            });
+            this.listen(timelineEl, 'input', () => {
+                this.seek(Number(timelineEl.value));
+            });
+        }
+
+        // Geometry export
+        const exportBtn = this.getElement('export');
+        const exportFormatEl = this.getElement('exportFormat');
+        if (exportBtn) {
+            this.listen(exportBtn, 'click', () => {
+                this.downloadFrame(exportFormatEl ? exportFormatEl.value : 'gltf');
+            });
+        }
+
+        // Vector projection export
+        const svgBtn = this.getElement('exportSvg');
+        const svgViewEl = this.getElement('svgView');
+        if (svgBtn) {
+            this.listen(svgBtn, 'click', () => {
+                this.downloadSVG(svgViewEl ? svgViewEl.value : 'camera');
+            });
+        }
+
+        // Metrics recording and export
+        const recordBtn = this.getElement('record');
+        if (recordBtn) {
+            this.listen(recordBtn, 'click', () => {
+                if (this.isRecording) {
+                    this.stopRecording();
+                } else {
+                    this.startRecording();
+                }
+            });
+        }
+
+        const exportRecordingBtn = this.getElement('exportRecording');
+        const recordingFormatEl = this.getElement('recordingFormat');
+        if (exportRecordingBtn) {
+            this.listen(exportRecordingBtn, 'click', () => {
+                this.downloadRecording(recordingFormatEl ? recordingFormatEl.value : 'csv');
+            });
+        }
+
+        // Snapshots: share link, JSON files and presets
+        const shareBtn = this.getElement('share');
+        if (shareBtn) {
+            this.listen(shareBtn, 'click', () => {
+                const url = this.getShareURL();
+                window.history.replaceState(null, '', url);
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(url).catch(() => {});
+                }
+            });
+        }
+
+        const saveSnapshotBtn = this.getElement('saveSnapshot');
+        if (saveSnapshotBtn) {
+            this.listen(saveSnapshotBtn, 'click', () => this.downloadSnapshot());
+        }
+
+        const loadSnapshotEl = this.getElement('loadSnapshot');
+        if (loadSnapshotEl) {
+            this.listen(loadSnapshotEl, 'change', async () => {
+                const file = loadSnapshotEl.files[0];
+                if (!file) return;
+                try {
+                    this.loadSnapshot(JSON.parse(await file.text()));
+                } catch (error) {
+                    this.reportError('loadSnapshot', error);
+                }
+                loadSnapshotEl.value = '';
+            });
+        }
+
+        const presetEl = this.getElement('preset');
+        if (presetEl) {
+            PRESETS.forEach(({ id, name }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                presetEl.appendChild(option);
+                this.createdElements.push(option);
+            });
+            this.listen(presetEl, 'change', () => {
+                if (presetEl.value) this.loadPreset(presetEl.value);
+                presetEl.value = '';
+            });
+        }
+
+        // New jitter seed
+        const reseedBtn = this.getElement('reseed');
+        if (reseedBtn) {
+            this.listen(reseedBtn, 'click', () => this.reseed());
+        }
+
+        // Clicks place energy sources while placing and select branches
+        // otherwise; a click is a press and release without dragging, so
+        // orbiting the camera never counts
+        const placeBtn = this.getElement('placeSource');
+        if (placeBtn) {
+            this.listen(placeBtn, 'click', () => this.setPlacingSources(!this.placingSources));
+        }
+        let pressed = null;
+        this.listen(this.renderer.domElement, 'pointerdown', (e) => {
+            pressed = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+        });
+        this.listen(this.renderer.domElement, 'pointerup', (e) => {
+            if (!pressed) return;
+            if (Math.hypot(e.clientX - pressed.x, e.clientY - pressed.y) < 5) {
+                if (this.placingSources) {
+                    this.handleSourceClick(e.clientX, e.clientY);
+                } else {
+                    this.selectBranch(this.pickBranch(e.clientX, e.clientY));
+                }
+            }
+            pressed = null;
+        });
+
+        // Hovering a branch highlights it and shows its tooltip; picking
+        // waits for the next animation frame
+        this.listen(this.renderer.domElement, 'pointermove', (e) => {
+            this.pointer = { x: e.clientX, y: e.clientY };
+            this.pickStale = true;
+        });
+        this.listen(this.renderer.domElement, 'pointerleave', () => {
+            this.pointer = null;
+            this.updateHover();
+        });
+
+        // Wireframe toggle
+        const wireframeBtn = this.getElement('wireframe');
+        if (wireframeBtn) {
+            this.listen(wireframeBtn, 'click', () => {
+                this.setWireframe(!this.wireframeMode);
+            });
+        }
+
+        // Parameter panel
+        this.setupConfigPanel();
+        const configToggleBtn = this.getElement('configToggle');
+        const configPanelEl = this.getElement('configPanel');
+        if (configToggleBtn && configPanelEl) {
+            this.listen(configToggleBtn, 'click', () => {
+                const visible = configPanelEl.style.display === 'none';
+                configPanelEl.style.display = visible ? 'grid' : 'none';
+                configToggleBtn.classList.toggle('active', visible);
+            });
+        }
+
+        // Info toggle
+        const infoToggleBtn = this.getElement('infoToggle');
+        const infoEl = this.getElement('info');
+        if (infoToggleBtn && infoEl) {
+            this.listen(infoToggleBtn, 'click', () => {
+                this.showInfo = !this.showInfo;
+                infoEl.style.display = this.showInfo ? 'block' : 'none';
+                infoToggleBtn.classList.toggle('active', this.showInfo);
+            });
+        }
+
+        // Color mapping and legend
+        ['branchColor', 'planeColor', 'palette'].forEach(key => {
+            const selectEl = this.getElement(key);
+            if (selectEl) {
+                this.listen(selectEl, 'change', () => this.setConfig({ [key]: selectEl.value }));
+            }
+        });
+        this.updateColorControls();
+
+        const legendToggleBtn = this.getElement('legendToggle');
+        if (legendToggleBtn) {
+            this.listen(legendToggleBtn, 'click', () => this.setLegendVisible(!this.showLegend));
+        }
+        this.updateLegend();
+
+        // Camera director: mode, keyframes and tracks
+        const cameraModeEl = this.getElement('cameraMode');
+        if (cameraModeEl) {
+            this.listen(cameraModeEl, 'change', () => this.setCameraMode(cameraModeEl.value));
+        }
+
+        const addKeyframeBtn = this.getElement('addKeyframe');
+        if (addKeyframeBtn) {
+            this.listen(addKeyframeBtn, 'click', () => this.addCameraKeyframe());
+        }
+
+        const saveCameraTrackBtn = this.getElement('saveCameraTrack');
+        if (saveCameraTrackBtn) {
+            this.listen(saveCameraTrackBtn, 'click', () => this.downloadCameraTrack());
+        }
+
+        const loadCameraTrackEl = this.getElement('loadCameraTrack');
+        if (loadCameraTrackEl) {
+            this.listen(loadCameraTrackEl, 'change', async () => {
+                const file = loadCameraTrackEl.files[0];
+                if (!file) return;
+                try {
+                    this.loadCameraTrack(JSON.parse(await file.text()));
+                } catch (error) {
+                    this.reportError('loadCameraTrack', error);
+                }
+                loadCameraTrackEl.value = '';
+            });
+        }
+
+        // Audio-reactive mode: microphone, audio files and sensitivity
+        const audioToggleBtn = this.getElement('audioToggle');
+        if (audioToggleBtn) {
+            this.listen(audioToggleBtn, 'click', () => {
+                if (this.isAudioActive) {
+                    this.stopAudio();
+                } else {
+                    this.startAudio('microphone').catch(error => this.reportError('startAudio', error));
+                }
+            });
+        }
+
+        const loadAudioEl = this.getElement('loadAudio');
+        if (loadAudioEl) {
+            this.listen(loadAudioEl, 'change', async () => {
+                const file = loadAudioEl.files[0];
+                if (!file) return;
+                try {
+                    await this.startAudio(file);
+                } catch (error) {
+                    this.reportError('startAudio', error);
+                }
+                loadAudioEl.value = '';
+            });
+        }
+
+        const audioSensitivityEl = this.getElement('audioSensitivity');
+        if (audioSensitivityEl) {
+            audioSensitivityEl.value = this.audioInput.analyzer.options.sensitivity;
+            this.listen(audioSensitivityEl, 'input', () => {
+                this.setAudioOptions({ sensitivity: parseFloat(audioSensitivityEl.value) });
+            });
+        }
+
+        // Sonification: start/stop, mute, volume and WAV export
+        const soundToggleBtn = this.getElement('soundToggle');
+        if (soundToggleBtn) {
+            this.listen(soundToggleBtn, 'click', () => {
+                if (this.isSounding) {
+                    this.stopSound();
+                } else {
+                    this.startSound().catch(error => this.reportError('startSound', error));
+                }
+            });
+        }
+
+        const soundMuteBtn = this.getElement('soundMute');
+        if (soundMuteBtn) {
+            this.listen(soundMuteBtn, 'click', () => this.setMuted(!this.sonifier.options.muted));
+        }
+
+        const soundVolumeEl = this.getElement('soundVolume');
+        if (soundVolumeEl) {
+            this.listen(soundVolumeEl, 'input', () => this.setVolume(parseFloat(soundVolumeEl.value)));
+        }
+
+        // The timeline's range, from 0 to its end
+        const exportWAVBtn = this.getElement('exportWAV');
+        if (exportWAVBtn) {
+            this.listen(exportWAVBtn, 'click', () => {
+                const to = Math.max(this.timelineMax || 10, Math.ceil(this.t));
+                this.downloadWAV({ from: 0, to }).catch(error => this.reportError('downloadWAV', error));
+            });
+        }
+        this.updateSoundControls();
+
+        // Zoom controls
+        const zoomInBtn = this.getElement('zoomIn');
+        const zoomOutBtn = this.getElement('zoomOut');
+        if (zoomInBtn) {
+            this.listen(zoomInBtn, 'click', () => {
+                this.zoomCamera(0.8); // Zoom in (reduce distance)
+            });
+        }
+        if (zoomOutBtn) {
+            this.listen(zoomOutBtn, 'click', () => {
+                this.zoomCamera(1.25); // Zoom out (increase distance)
+            });
+        }
+
+        // Keyboard controls apply while this engine's container has focus
+        if (!this.container.hasAttribute('tabindex')) {
+            this.container.tabIndex = 0;
+        }
+        this.listen(this.container, 'keydown', (e) => {
+            if (e.key === '+' || e.key === '=') {
+                this.zoomCamera(0.8);
+            } else if (e.key === '-' || e.key === '_') {
+                this.zoomCamera(1.25);
+            } else if (e.key === 'ArrowUp') {
+                this.rotateCamera(0, -0.1);
+            } else if (e.key === 'ArrowDown') {
+                this.rotateCamera(0, 0.1);
+            } else if (e.key === 'ArrowLeft') {
+                this.rotateCamera(-0.1, 0);
+            } else if (e.key === 'ArrowRight') {
+                this.rotateCamera(0.1, 0);
+            } else if (e.key === ',') {
+                this.stepBackward();
+            } else if (e.key === '.') {
+                this.stepForward();
+            } else if (e.key === 'Escape' && this.selectedBranch !== null) {
+                this.selectBranch(null);
+            }
+        });
+    }
+
+    zoomCamera(factor) {
+        this.overrideCamera();
+
+        // Get current distance from target
+        const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target);
+        const distance = direction.length();
+        const newDistance = distance * factor;
         
-        // Make demo globally available for debugging
-        window.fractalDemo = demo;
-    });
-} else {
-    const demo = new FractalTimeEngine('container', {
-        r: 3,
-        I_max: 81,
-        E_cap: 13,
-        timeSpeed: 0.01
-    });
-    
-    window.fractalDemo = demo;
-}
+        // Clamp to min/max
+        const clampedDistance = Math.max(
+            this.controls.minDistance,
+            Math.min(this.controls.maxDistance, newDistance)
+        );
+        
+        // Apply new distance
+        direction.normalize().multiplyScalar(clampedDistance);
+        this.camera.position.copy(this.controls.target).add(direction);
+        this.controls.update();
+    }
+
+    rotateCamera(horizontal, vertical) {
+        this.overrideCamera();
+
+        // Rotate camera around target
+        const direction = new THREE.Vector3().subVectors(this.camera.position, this.controls.target);
+        const distance = direction.length();
+        
+        // Create rotation
+        const axis = new THREE.Vector3(0, 1, 0); // Y-axis for horizontal rotation
+        const quaternion = new THREE.Quaternion().setFromAxisAngle(axis, horizontal);
+        direction.applyQuaternion(quaternion);
+        
+        // Vertical rotation
+        const right = new THREE.Vector3().crossVectors(direction, axis).normalize();
+        const verticalQuat = new THREE.Quaternion().setFromAxisAngle(right, vertical);
+        direction.applyQuaternion(verticalQuat);
+        
+        // Update camera position
+        this.camera.position.copy(this.controls.target).add(direction.normalize().multiplyScalar(distance));
+        this.controls.update();
+    }
+
+    /**
+     * Hand the camera to the director: 'free' (the default), 'keyframes',
+     * 'orbit' (options `{ speed }` in radians per second) or 'follow'
+     * (`{ smoothing }`). See src/camera-director.js.
+     */
+    setCameraMode(mode, options) {
+        this.cameraDirector.setMode(mode, options);
+
+        const cameraModeEl = this.getElement('cameraMode');
+        if (cameraModeEl) cameraModeEl.value = mode;
+
+        this.emit('cameraModeChanged', { mode });
+    }
+
+    get cameraMode() {
+        return this.cameraDirector.mode;
+    }
+
+    /**
+     * The user moved the camera: take it back from the director.
+     */
+    overrideCamera() {
+        if (this.cameraMode !== 'free') this.setCameraMode('free');
+    }
 
+    getCameraPose() {
+        const { position, fov } = this.camera;
+        const { target } = this.controls;
+
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            target: { x: target.x, y: target.y, z: target.z },
+            fov
+        };
+    }
+
+    applyCameraPose({ position, target, fov }) {
+        this.camera.position.set(position.x, position.y, position.z);
+        this.controls.target.set(target.x, target.y, target.z);
+        if (fov !== this.camera.fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * Add a camera keyframe `{ t, position, target, fov, easing }`; anything
+     * left out is taken from the current time and view. Returns the
+     * keyframe.
+     */
+    addCameraKeyframe(keyframe = {}) {
+        return this.cameraDirector.addKeyframe({ t: this.t, ...this.getCameraPose(), ...keyframe });
+    }
+
+    setCameraKeyframes(keyframes) {
+        this.cameraDirector.setKeyframes(keyframes);
+    }
+
+    /**
+     * Camera keyframes as plain JSON data `{ version, keyframes }`.
+     */
+    getCameraTrack() {
+        return JSON.parse(JSON.stringify(this.cameraDirector));
+    }
+
+    loadCameraTrack(track) {
+        this.cameraDirector.loadTrack(track);
+    }
+
+    downloadCameraTrack() {
+        const json = JSON.stringify(this.getCameraTrack(), null, 2);
+        downloadFile(json, 'fractal-camera-track.json', 'application/json');
+    }
+
+    /**
+     * Move the camera as the director says for this frame, if it is
+     * directing.
+     */
+    updateCamera(elapsed) {
+        const pose = this.cameraDirector.update(this.getCameraPose(), { t: this.t, n: this.model.n, elapsed });
+        if (pose) this.applyCameraPose(pose);
+    }
+
+    handleResize() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+
+        // Hidden containers report 0 × 0
+        if (width === 0 || height === 0) return;
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+    }
+
+    /**
+     * Start the render loop (done by the constructor unless
+     * `autoStart: false`).
+     */
+    start() {
+        if (this.frameId !== null) return;
+
+        this.lastFrameTime = undefined;
+        const loop = (now) => {
+            this.frameId = requestAnimationFrame(loop);
+            this.animate(now);
+        };
+        this.frameId = requestAnimationFrame(loop);
+    }
+
+    /**
+     * Stop the render loop; start() resumes it.
+     */
+    stop() {
+        if (this.frameId === null) return;
+
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    get isRunning() {
+        return this.frameId !== null;
+    }
+
+    /**
+     * Render one frame at timestamp `now` (ms).
+     */
+    animate(now = performance.now()) {
+        // Real elapsed time drives the fixed-step clock; long stalls
+        // (e.g. a background tab) are clamped instead of fast-forwarded
+        const interval = this.lastFrameTime === undefined ? null : now - this.lastFrameTime;
+        const elapsed = interval === null ? 0 : Math.min(interval / 1000, 0.25);
+        this.lastFrameTime = now;
+
+        const workStart = performance.now();
+        this.updateAudio(elapsed);
+        this.update(elapsed);
+        this.updateCamera(elapsed);
+        this.controls.update();
+        if (this.pointer && this.pickStale) this.updateHover();
+        this.renderer.render(this.scene, this.camera);
+        const work = performance.now() - workStart;
+        this.frameTime = work;
+
+        this.emit('frameRendered', { t: this.t, elapsed });
+
+        // Adapt the level of detail; the new level shows from the next frame
+        if (interval !== null && this.quality.sample(interval, work, {
+            segments: this.segmentCount,
+            drawCalls: this.renderer.info.render.calls
+        })) {
+            this.applyQualityLevel();
+            this.model.buildFrame();
+            this.renderState(this.model.getState());
+            this.emit('qualityChanged', this.getQuality());
+        }
+    }
+
+    /**
+     * Stop the engine and release everything it holds: render loop,
+     * listeners, observers, plugins, GPU resources and DOM it added.
+     */
+    dispose() {
+        this.stop();
+        this.abortController.abort();
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+
+        this.plugins.forEach(plugin => {
+            if (plugin.dispose) plugin.dispose(this);
+        });
+        this.plugins = [];
+        this.frameGenerator.dispose();
+        this.releaseAudio();
+        this.sonifier.stop();
+        this.audioInput.dispose();
+
+        // Clean up pooled geometries, materials and textures
+        this.planePool.forEach(({ plane, timeText }) => {
+            this.scene.remove(plane);
+            plane.geometry.dispose();
+            plane.material.dispose();
+
+            this.scene.remove(timeText.group);
+            timeText.texture.dispose();
+            timeText.material.dispose();
+            timeText.glowMaterial.dispose();
+        });
+        this.planePool = [];
+
+        this.scene.remove(this.sourceMarkers);
+        this.sourceMarkers.geometry.dispose();
+        this.sourceMarkers.material.dispose();
+
+        this.scene.remove(this.laserLines);
+        this.laserLines.geometry.dispose();
+        this.laserLines.material.dispose();
+
+        this.scene.remove(this.branchMesh);
+        this.branchMesh.dispose();
+        this.branchGeometry.dispose();
+        this.branchMaterial.dispose();
+
+        this.controls.dispose();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
+
+        // Generated UI (preset options, config rows, legend, tooltip) goes
+        // with the engine
+        this.createdElements.forEach(el => el.remove());
+        this.createdElements = [];
+        ['legend', 'tooltip'].forEach(name => {
+            const el = this.getElement(name);
+            if (el) el.replaceChildren();
+        });
+        this.configInputs = null;
+
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,28 @@
+import './src/fractal-time-engine-element.js';
+import { snapshotFromHash } from './src/snapshot.js';
+
+/**
+ * Page bootstrap for index.html. demo.js itself never boots anything, so
+ * it can be imported to embed any number of engines; the page's engine
+ * and controls come from its <fractal-time-engine>, already upgraded and
+ * connected once the element module has run.
+ */
+const demo = document.querySelector('fractal-time-engine').engine;
+
+// Failed control actions (bad files, denied microphone, …)
+demo.on('error', ({ action, error }) => console.error(`${action} failed:`, error));
+
+// Boot into a shared view from the URL hash
+const loadFromHash = () => {
+    try {
+        const snapshot = snapshotFromHash(window.location.hash);
+        if (snapshot) demo.loadSnapshot(snapshot);
+    } catch (error) {
+        console.error('Could not load snapshot from URL:', error);
+    }
+};
+loadFromHash();
+window.addEventListener('hashchange', loadFromHash);
+
+// Make demo globally available for debugging
+window.fractalDemo = demo;
@@ -0,0 +1,329 @@
+import { NEUTRAL_MODULATION } from './fractal-model.js';
+
+/**
+ * Audio input
+ *
+ * Turns sound into model modulation (see FractalModel#setModulation).
+ * AudioInput plays a media element, microphone stream or decoded
+ * AudioBuffer through a Web Audio AnalyserNode; AudioAnalyzer reduces each
+ * analyser reading to features, each from 0 to 1:
+ * - 'rms': loudness of the waveform
+ * - one level per frequency band (by default 'bass', 'mid', 'treble')
+ * - 'onset': a pulse on sudden rises in the spectrum (beats, attacks)
+ *
+ * Mappings `{ feature, target, amount }` then scale features onto the
+ * modulation targets 'energy', 'phase', 'branches' and 'r'; mappings to
+ * the same target add up.
+ */
+
+export const AUDIO_TARGETS = Object.keys(NEUTRAL_MODULATION);
+
+// Frequency bands in Hz, [low, high)
+export const DEFAULT_AUDIO_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 16000]
+};
+
+export const DEFAULT_AUDIO_MAPPINGS = [
+    { feature: 'rms', target: 'energy', amount: 30 },
+    { feature: 'bass', target: 'r', amount: 0.1 },
+    { feature: 'onset', target: 'branches', amount: 3 },
+    { feature: 'treble', target: 'phase', amount: Math.PI }
+];
+
+export const DEFAULT_AUDIO_OPTIONS = {
+    bands: DEFAULT_AUDIO_BANDS,
+    mappings: DEFAULT_AUDIO_MAPPINGS,
+    sensitivity: 1, // Gain on every feature before clamping to 1
+    smoothing: 0.15, // Seconds for features to follow the sound
+    onsetThreshold: 1.5, // Spectral flux over its running mean that counts as an onset
+    onsetRelease: 0.25, // Seconds for an onset pulse to fade
+    fftSize: 2048
+};
+
+// Analyser dB range mapped to band levels 0..1 (the AnalyserNode defaults)
+const MIN_DECIBELS = -100;
+const MAX_DECIBELS = -30;
+
+// Seconds over which the spectral flux baseline adapts
+const FLUX_WINDOW = 1;
+
+// Minimum flux (mean level rise per bin) for an onset, so near-silence
+// never triggers one; a hit in the bass band alone rises ~0.01
+const FLUX_FLOOR = 0.002;
+
+// Source node of each media element connected so far
+const mediaElementSources = new WeakMap();
+
+/**
+ * Check audio options and fill in the defaults. Throws on anything
+ * malformed.
+ */
+export function resolveAudioOptions(options = {}) {
+    const resolved = { ...DEFAULT_AUDIO_OPTIONS, ...options };
+    const { bands, mappings, sensitivity, smoothing, onsetThreshold, onsetRelease, fftSize } = resolved;
+
+    Object.entries(bands).forEach(([name, range]) => {
+        if (name === 'rms' || name === 'onset') {
+            throw new Error(`Audio band name is reserved: ${name}`);
+        }
+        if (!Array.isArray(range) || range.length !== 2 || !(range[0] >= 0 && range[1] > range[0])) {
+            throw new Error(`Audio band ${name} must be [low, high] in Hz with low < high`);
+        }
+    });
+
+    const features = ['rms', 'onset', ...Object.keys(bands)];
+    mappings.forEach(({ feature, target, amount }) => {
+        if (!features.includes(feature)) {
+            throw new Error(`Unknown audio feature: ${feature} (expected one of ${features.join(', ')})`);
+        }
+        if (!AUDIO_TARGETS.includes(target)) {
+            throw new Error(`Unknown audio target: ${target} (expected one of ${AUDIO_TARGETS.join(', ')})`);
+        }
+        if (!Number.isFinite(amount)) {
+            throw new Error(`Audio mapping amount must be a finite number (got ${amount})`);
+        }
+    });
+
+    if (!(sensitivity >= 0)) throw new Error(`Audio sensitivity must be at least 0 (got ${sensitivity})`);
+    if (!(smoothing >= 0)) throw new Error(`Audio smoothing must be at least 0 (got ${smoothing})`);
+    if (!(onsetThreshold > 1)) throw new Error(`Audio onset threshold must be greater than 1 (got ${onsetThreshold})`);
+    if (!(onsetRelease > 0)) throw new Error(`Audio onset release must be greater than 0 (got ${onsetRelease})`);
+    if (!Number.isInteger(Math.log2(fftSize)) || fftSize < 32 || fftSize > 32768) {
+        throw new Error(`Audio fftSize must be a power of 2 from 32 to 32768 (got ${fftSize})`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Features from analyser readings, smoothed over time. Needs no Web
+ * Audio, so recorded or synthetic spectra can be fed in directly.
+ */
+export class AudioAnalyzer {
+    constructor(options = {}) {
+        this.setOptions(options);
+    }
+
+    setOptions(options) {
+        const bands = this.options ? this.options.bands : null;
+        this.options = resolveAudioOptions({ ...this.options, ...options });
+
+        // Features are kept through other changes, e.g. of sensitivity
+        if (this.options.bands !== bands) this.reset();
+    }
+
+    reset() {
+        this.features = Object.fromEntries(['rms', 'onset', ...Object.keys(this.options.bands)].map(name => [name, 0]));
+        this.previousLevels = null;
+        this.fluxMean = 0;
+    }
+
+    /**
+     * Update the features from one reading: `spectrum` in dB per bin (as
+     * AnalyserNode#getFloatFrequencyData) and `waveform` samples from -1
+     * to 1, `elapsed` seconds after the previous one. Returns the
+     * features and whether this reading was an onset.
+     */
+    analyze(spectrum, waveform, sampleRate, elapsed) {
+        const { bands, sensitivity, smoothing, onsetThreshold, onsetRelease } = this.options;
+        const binWidth = sampleRate / (spectrum.length * 2);
+        const follow = smoothing > 0 ? 1 - Math.exp(-elapsed / smoothing) : 1;
+        const clamp = value => Math.min(1, Math.max(0, value * sensitivity));
+
+        // Bin levels 0..1 on the analyser's dB scale, into the buffer the
+        // reading before last used (this one's becomes previousLevels)
+        let levels = this.spareLevels;
+        if (!levels || levels.length !== spectrum.length) levels = new Float32Array(spectrum.length);
+        for (let i = 0; i < spectrum.length; i++) {
+            levels[i] = Math.min(1, Math.max(0, (spectrum[i] - MIN_DECIBELS) / (MAX_DECIBELS - MIN_DECIBELS)));
+        }
+
+        const raw = { rms: clamp(Math.sqrt(waveform.reduce((sum, x) => sum + x * x, 0) / (waveform.length || 1))) };
+        Object.entries(bands).forEach(([name, [low, high]]) => {
+            const from = Math.max(0, Math.floor(low / binWidth));
+            const to = Math.min(levels.length, Math.ceil(high / binWidth));
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += levels[i];
+            raw[name] = clamp(to > from ? sum / (to - from) : 0);
+        });
+
+        // Onsets: spectral flux (summed level rises) well above its
+        // running mean
+        let flux = 0;
+        if (this.previousLevels && this.previousLevels.length === levels.length) {
+            for (let i = 0; i < levels.length; i++) {
+                flux += Math.max(0, levels[i] - this.previousLevels[i]);
+            }
+            flux /= levels.length;
+        }
+        this.spareLevels = this.previousLevels;
+        this.previousLevels = levels;
+
+        const onset = flux > FLUX_FLOOR && flux > this.fluxMean * onsetThreshold;
+        this.fluxMean += (flux - this.fluxMean) * (1 - Math.exp(-elapsed / FLUX_WINDOW));
+
+        Object.keys(raw).forEach(name => {
+            this.features[name] += (raw[name] - this.features[name]) * follow;
+        });
+        this.features.onset = onset ? 1 : this.features.onset * Math.exp(-elapsed / onsetRelease);
+
+        return { features: { ...this.features }, onset };
+    }
+
+    /**
+     * Modulation `{ energy, phase, branches, r }` of the current features.
+     */
+    modulation() {
+        const modulation = { ...NEUTRAL_MODULATION };
+        this.options.mappings.forEach(({ feature, target, amount }) => {
+            modulation[target] += this.features[feature] * amount;
+        });
+        return modulation;
+    }
+}
+
+/**
+ * Web Audio input: a source played through an AnalyserNode that
+ * AudioAnalyzer reads. Media elements and buffers are also heard; a
+ * microphone stream is only analysed, to avoid feedback.
+ */
+export class AudioInput {
+    constructor({ context = null, ...options } = {}) {
+        this.analyzer = new AudioAnalyzer(options);
+        this.context = context;
+        this.ownsContext = !context;
+        this.analyser = null;
+        this.source = null;
+        this.spectrum = null;
+        this.waveform = null;
+    }
+
+    get connected() {
+        return this.source !== null;
+    }
+
+    // The given context, or one created on first use
+    ensureContext() {
+        if (!this.context) {
+            const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+            if (!AudioContextClass) {
+                throw new Error('Web Audio is not supported here');
+            }
+            this.context = new AudioContextClass();
+        }
+        return this.context;
+    }
+
+    /**
+     * Start listening to an HTMLMediaElement, a MediaStream or a decoded
+     * AudioBuffer (looped). Replaces the previous source.
+     */
+    async connect(input) {
+        this.disconnect();
+
+        const context = this.ensureContext();
+
+        const elementSource = mediaElementSources.get(input);
+        if (elementSource && elementSource.context !== context) {
+            throw new Error('This media element is already routed through another AudioContext; pass that context to AudioInput to use it again');
+        }
+
+        // Browsers start contexts suspended until a user gesture
+        if (context.state === 'suspended') await context.resume();
+
+        this.analyser = context.createAnalyser();
+        this.analyser.smoothingTimeConstant = 0; // AudioAnalyzer smooths over real time
+        this.analyser.minDecibels = MIN_DECIBELS;
+        this.analyser.maxDecibels = MAX_DECIBELS;
+        this.resizeAnalyser();
+
+        if (typeof AudioBuffer !== 'undefined' && input instanceof AudioBuffer) {
+            this.source = context.createBufferSource();
+            this.source.buffer = input;
+            this.source.loop = true;
+            this.source.connect(this.analyser).connect(context.destination);
+            this.source.start();
+        } else if (typeof MediaStream !== 'undefined' && input instanceof MediaStream) {
+            this.source = context.createMediaStreamSource(input);
+            this.source.connect(this.analyser);
+        } else if (typeof HTMLMediaElement !== 'undefined' && input instanceof HTMLMediaElement) {
+            // An element can only ever have one source node, on one
+            // context, so reuse it (it plays straight out while disconnected)
+            let source = mediaElementSources.get(input);
+            if (!source) {
+                source = context.createMediaElementSource(input);
+                mediaElementSources.set(input, source);
+            }
+            this.source = source;
+            this.source.disconnect();
+            this.source.connect(this.analyser).connect(context.destination);
+        } else {
+            throw new Error('Audio input must be an HTMLMediaElement, MediaStream or AudioBuffer');
+        }
+
+        this.analyzer.reset();
+    }
+
+    /**
+     * Change the analysis options (see DEFAULT_AUDIO_OPTIONS), also while
+     * connected.
+     */
+    setOptions(options) {
+        this.analyzer.setOptions(options);
+        if (this.analyser) this.resizeAnalyser();
+    }
+
+    resizeAnalyser() {
+        this.analyser.fftSize = this.analyzer.options.fftSize;
+        this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+        this.waveform = new Float32Array(this.analyser.fftSize);
+    }
+
+    /**
+     * Decode an audio file (File, Blob or ArrayBuffer) into an AudioBuffer
+     * for connect().
+     */
+    async decode(file) {
+        const context = this.ensureContext();
+        const data = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+        return context.decodeAudioData(data);
+    }
+
+    disconnect() {
+        if (!this.source) return;
+
+        if (this.source.stop) this.source.stop();
+        this.source.disconnect();
+        this.analyser.disconnect();
+        // Give a media element its own output back
+        if (mediaElementSources.get(this.source.mediaElement) === this.source) {
+            this.source.connect(this.context.destination);
+        }
+        this.source = null;
+        this.analyser = null;
+    }
+
+    /**
+     * Read the analyser, `elapsed` seconds after the last read. Returns
+     * `{ features, onset }` (see AudioAnalyzer#analyze), or null while
+     * disconnected.
+     */
+    read(elapsed) {
+        if (!this.analyser) return null;
+
+        this.analyser.getFloatFrequencyData(this.spectrum);
+        this.analyser.getFloatTimeDomainData(this.waveform);
+        return this.analyzer.analyze(this.spectrum, this.waveform, this.context.sampleRate, elapsed);
+    }
+
+    /**
+     * Stop listening and close the audio context, unless it was passed in.
+     */
+    dispose() {
+        this.disconnect();
+        if (this.ownsContext && this.context) this.context.close();
+        this.context = null;
+    }
+}
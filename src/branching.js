@@ -0,0 +1,161 @@
+/**
+ * Branching grammar
+ *
+ * A rule set describes how createFractalBranch subdivides a segment, in
+ * the spirit of an L-system: at each split position along the parent a
+ * fan of children grows outwards, each carrying a share of the energy
+ * and recursing until the depth limit. Fields:
+ *
+ * - `splits`: positions along the parent (0-1) where children sprout
+ * - `fan`: children per split, evenly spaced around the z axis...
+ * - `angles`: ...unless explicit fan angles (radians) are given
+ * - `twist`: extra rotation of the fan per depth level (radians)
+ * - `lift`: z component of a child's direction, times the parent's
+ * - `energyDivision`: child energy = parent energy / energyDivision
+ * - `lengthRatio`: child length as a fraction of the parent's
+ * - `lengthGrowth`: child length is also scaled by r^(depth * lengthGrowth);
+ *   negative values make deeper levels shrink
+ * - `depthCap`, `energyPerDepth`: depth limit min(depthCap,
+ *   floor(E / energyPerDepth)) for source energy E
+ * - `maxDepth` (optional): `(energy, config) => depth` replacing that
+ *   formula; functions are not kept in snapshots
+ * - `minEnergy`: branches below this energy are not drawn
+ *
+ * `options.branching` selects a rule set by name, or overrides one with
+ * `{ base: 'classic', ...fields }`. 'classic' is the original structure.
+ */
+
+const RULE_SETS = new Map();
+
+export const DEFAULT_BRANCHING = 'classic';
+
+// Keep the recursion bounded: children per segment and levels
+const MAX_CHILDREN = 16;
+const MAX_DEPTH = 8;
+
+export function registerBranchingRules(name, rules) {
+    RULE_SETS.set(name, resolveBranchingRules({ base: DEFAULT_BRANCHING, ...rules }));
+}
+
+export function getBranchingRuleNames() {
+    return [...RULE_SETS.keys()];
+}
+
+/**
+ * Complete, validated rule set for a spec (name or `{ base, ...fields }`).
+ * Throws on unknown names or fields and on out-of-range values.
+ */
+export function resolveBranchingRules(spec = DEFAULT_BRANCHING) {
+    const { base = DEFAULT_BRANCHING, ...overrides } = typeof spec === 'string' ? { base: spec } : spec;
+    const baseRules = RULE_SETS.get(base);
+
+    if (!baseRules) {
+        throw new Error(`Unknown branching rules: ${base}`);
+    }
+
+    Object.keys(overrides).forEach(key => {
+        if (!(key in baseRules)) {
+            throw new Error(`Unknown branching rule: ${key}`);
+        }
+    });
+
+    return validateRules({ ...baseRules, ...overrides });
+}
+
+/**
+ * Depth limit for a branch tree grown from source energy `energy`.
+ */
+export function branchMaxDepth(rules, energy, config) {
+    const depth = rules.maxDepth
+        ? rules.maxDepth(energy, config)
+        : Math.min(rules.depthCap, Math.floor(energy / rules.energyPerDepth));
+
+    return Math.min(MAX_DEPTH, Number.isFinite(depth) ? Math.floor(depth) : 0);
+}
+
+/**
+ * Fan angles (radians) at a depth level, including the twist.
+ */
+export function fanAngles(rules, depth) {
+    const angles = rules.angles || Array.from({ length: rules.fan }, (_, i) => (Math.PI * 2 * i) / rules.fan);
+    return angles.map(angle => angle + rules.twist * depth);
+}
+
+function validateRules(rules) {
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (!Array.isArray(rules.splits) || !rules.splits.every(s => isNumber(s) && s >= 0 && s <= 1)) {
+        throw new Error('Branching splits must be an array of positions between 0 and 1');
+    }
+    if (!Number.isInteger(rules.fan) || rules.fan < 1) {
+        throw new Error(`Branching fan must be a positive integer (got ${rules.fan})`);
+    }
+    if (rules.angles !== null && (!Array.isArray(rules.angles) || rules.angles.length === 0 || !rules.angles.every(isNumber))) {
+        throw new Error('Branching angles must be null or a non-empty array of numbers');
+    }
+
+    const children = rules.splits.length * (rules.angles ? rules.angles.length : rules.fan);
+    if (children > MAX_CHILDREN) {
+        throw new Error(`Branching rules give ${children} children per branch (at most ${MAX_CHILDREN})`);
+    }
+
+    ['twist', 'lift', 'lengthGrowth'].forEach(key => {
+        if (!isNumber(rules[key])) {
+            throw new Error(`Branching ${key} must be a finite number (got ${rules[key]})`);
+        }
+    });
+    ['energyDivision', 'energyPerDepth'].forEach(key => {
+        if (!isNumber(rules[key]) || rules[key] <= 0) {
+            throw new Error(`Branching ${key} must be greater than 0 (got ${rules[key]})`);
+        }
+    });
+    ['lengthRatio', 'minEnergy'].forEach(key => {
+        if (!isNumber(rules[key]) || rules[key] < 0) {
+            throw new Error(`Branching ${key} must be at least 0 (got ${rules[key]})`);
+        }
+    });
+    if (!Number.isInteger(rules.depthCap) || rules.depthCap < 0 || rules.depthCap > MAX_DEPTH) {
+        throw new Error(`Branching depthCap must be an integer from 0 to ${MAX_DEPTH} (got ${rules.depthCap})`);
+    }
+    if (rules.maxDepth !== null && typeof rules.maxDepth !== 'function') {
+        throw new Error('Branching maxDepth must be null or a function');
+    }
+
+    return rules;
+}
+
+// Original structure: three children at 0/120/240° from the 1/3 and 2/3
+// points, a third of the energy and length each, growing by r^(depth/2)
+RULE_SETS.set('classic', validateRules({
+    splits: [1 / 3, 2 / 3],
+    fan: 3,
+    angles: null,
+    twist: 0,
+    lift: 0.5,
+    energyDivision: 3,
+    lengthRatio: 1 / 3,
+    lengthGrowth: 0.5,
+    depthCap: 4,
+    energyPerDepth: 5,
+    maxDepth: null,
+    minEnergy: 0.01
+}));
+
+// Forks in two at the midpoint, turning a quarter per level
+registerBranchingRules('binary', {
+    splits: [0.5],
+    fan: 2,
+    twist: Math.PI / 2,
+    energyDivision: 2,
+    lengthRatio: 0.5,
+    lengthGrowth: 0,
+    depthCap: 6
+});
+
+// Classic fans that rotate with depth and shrink outwards
+registerBranchingRules('spiral', {
+    twist: Math.PI / 9,
+    lift: 1,
+    lengthRatio: 0.5,
+    lengthGrowth: -0.25
+});
@@ -0,0 +1,210 @@
+import { add, sub, lerp } from './vec3.js';
+
+/**
+ * Camera director
+ *
+ * Works out where the camera should be, as a plain pose `{ position,
+ * target, fov }`, in one of four modes:
+ * - 'free': not at all; OrbitControls and the user are in charge
+ * - 'keyframes': interpolated between keyframes at simulation times, so
+ *   scrubbing or reversing the timeline replays the camera move too
+ * - 'orbit': circling the target about the vertical (Y) axis at `speed`
+ *   radians per real second
+ * - 'follow': keeping the target on the current plane (z = n * 6), with
+ *   the camera moving along, easing in at `smoothing` per second
+ *
+ * A keyframe is `{ t, position, target, fov, easing }`; `easing` shapes
+ * the move from it to the next keyframe. Tracks are saved as `{ version,
+ * keyframes }` JSON. The renderer applies the pose; the director holds no
+ * three.js objects.
+ */
+
+export const CAMERA_MODES = ['free', 'keyframes', 'orbit', 'follow'];
+
+export const CAMERA_TRACK_VERSION = 1;
+
+export const EASINGS = {
+    linear: x => x,
+    easeIn: x => x * x * x,
+    easeOut: x => 1 - Math.pow(1 - x, 3),
+    easeInOut: x => (x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2)
+};
+
+const DEFAULT_EASING = 'easeInOut';
+
+// Keyframes closer in time than this replace each other
+const KEYFRAME_EPSILON = 1e-6;
+
+const isVector = v => v && ['x', 'y', 'z'].every(k => Number.isFinite(v[k]));
+
+/**
+ * Check a keyframe and return a complete copy. Throws on anything
+ * malformed.
+ */
+export function validateKeyframe({ t, position, target, fov = 75, easing = DEFAULT_EASING }) {
+    if (!Number.isFinite(t)) {
+        throw new Error(`Camera keyframe t must be a finite number (got ${t})`);
+    }
+    if (!isVector(position) || !isVector(target)) {
+        throw new Error('Camera keyframe needs position and target vectors');
+    }
+    if (!Number.isFinite(fov) || fov <= 0 || fov >= 180) {
+        throw new Error(`Camera keyframe fov must be between 0 and 180 degrees (got ${fov})`);
+    }
+    if (!EASINGS[easing]) {
+        throw new Error(`Unknown easing: ${easing} (expected one of ${Object.keys(EASINGS).join(', ')})`);
+    }
+
+    return {
+        t,
+        position: { x: position.x, y: position.y, z: position.z },
+        target: { x: target.x, y: target.y, z: target.z },
+        fov,
+        easing
+    };
+}
+
+/**
+ * Check a parsed camera track and return its keyframes, sorted by time.
+ */
+export function validateCameraTrack(track) {
+    if (!track || typeof track !== 'object') {
+        throw new Error('Invalid camera track: not an object');
+    }
+    if (track.version !== CAMERA_TRACK_VERSION) {
+        throw new Error(`Unsupported camera track version: ${track.version}`);
+    }
+    if (!Array.isArray(track.keyframes)) {
+        throw new Error('Invalid camera track: keyframes must be a list');
+    }
+
+    return track.keyframes.map(validateKeyframe).sort((a, b) => a.t - b.t);
+}
+
+export class CameraDirector {
+    constructor() {
+        this.mode = 'free';
+        this.keyframes = [];
+        this.orbitSpeed = 0.2;
+        this.followSmoothing = 2;
+    }
+
+    /**
+     * Switch mode, with `{ speed }` for 'orbit' and `{ smoothing }` for
+     * 'follow'.
+     */
+    setMode(mode, { speed = this.orbitSpeed, smoothing = this.followSmoothing } = {}) {
+        if (!CAMERA_MODES.includes(mode)) {
+            throw new Error(`Unknown camera mode: ${mode} (expected one of ${CAMERA_MODES.join(', ')})`);
+        }
+        if (!Number.isFinite(speed)) {
+            throw new Error(`Orbit speed must be a finite number (got ${speed})`);
+        }
+        if (!Number.isFinite(smoothing) || smoothing <= 0) {
+            throw new Error(`Follow smoothing must be greater than 0 (got ${smoothing})`);
+        }
+
+        this.mode = mode;
+        this.orbitSpeed = speed;
+        this.followSmoothing = smoothing;
+    }
+
+    setKeyframes(keyframes) {
+        this.keyframes = keyframes.map(validateKeyframe).sort((a, b) => a.t - b.t);
+    }
+
+    /**
+     * Replace the keyframes with those of a saved track.
+     */
+    loadTrack(track) {
+        this.keyframes = validateCameraTrack(track);
+    }
+
+    /**
+     * Add a keyframe, replacing one at the same time.
+     */
+    addKeyframe(keyframe) {
+        const valid = validateKeyframe(keyframe);
+
+        this.keyframes = [
+            ...this.keyframes.filter(({ t }) => Math.abs(t - valid.t) > KEYFRAME_EPSILON),
+            valid
+        ].sort((a, b) => a.t - b.t);
+        return valid;
+    }
+
+    /**
+     * Interpolated pose at simulation time `t`, holding the first and last
+     * keyframes outside their range; null without keyframes.
+     */
+    poseAt(t) {
+        const keyframes = this.keyframes;
+        if (keyframes.length === 0) return null;
+
+        const next = keyframes.findIndex(keyframe => keyframe.t > t);
+        if (next === 0) return pose(keyframes[0]);
+        if (next === -1) return pose(keyframes[keyframes.length - 1]);
+
+        const from = keyframes[next - 1];
+        const to = keyframes[next];
+        const x = EASINGS[from.easing]((t - from.t) / (to.t - from.t));
+
+        return {
+            position: lerp(from.position, to.position, x),
+            target: lerp(from.target, to.target, x),
+            fov: from.fov + (to.fov - from.fov) * x
+        };
+    }
+
+    /**
+     * Pose for this frame given the camera's `current` pose, the
+     * simulation time `t` and step `n`, and `elapsed` real seconds since
+     * the last frame; null when the camera is left alone.
+     */
+    update(current, { t, n, elapsed }) {
+        switch (this.mode) {
+        case 'keyframes':
+            return this.poseAt(t);
+
+        case 'orbit': {
+            const offset = sub(current.position, current.target);
+            const angle = this.orbitSpeed * elapsed;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            return {
+                position: add(current.target, {
+                    x: offset.x * cos + offset.z * sin,
+                    y: offset.y,
+                    z: offset.z * cos - offset.x * sin
+                }),
+                target: current.target,
+                fov: current.fov
+            };
+        }
+
+        case 'follow': {
+            // Exponential approach, the same at any frame rate
+            const dz = (n * 6 - current.target.z) * (1 - Math.exp(-this.followSmoothing * elapsed));
+            const shift = { x: 0, y: 0, z: dz };
+
+            return {
+                position: add(current.position, shift),
+                target: add(current.target, shift),
+                fov: current.fov
+            };
+        }
+
+        default:
+            return null;
+        }
+    }
+
+    toJSON() {
+        return { version: CAMERA_TRACK_VERSION, keyframes: this.keyframes };
+    }
+}
+
+function pose({ position, target, fov }) {
+    return { position: { ...position }, target: { ...target }, fov };
+}
@@ -0,0 +1,150 @@
+/**
+ * Simulation clock
+ *
+ * Drives a FractalModel with a fixed timestep (`config.timeSpeed` per step)
+ * from real elapsed time, so the simulation runs at the same speed on any
+ * display. At playback rate 1 it takes `config.stepsPerSecond` steps per
+ * second.
+ *
+ * Seeking (and therefore reverse playback) restores the nearest earlier
+ * checkpoint and replays from there; geometry is only built once, for the
+ * frame that ends up on screen.
+ */
+export class SimulationClock {
+    constructor(model) {
+        this.model = model;
+        this.playbackRate = 1;
+        this.onStep = null; // Called after each live forward step (not replays)
+        this.onSeek = null; // Called after each seek, including reverse playback
+        this.reset();
+    }
+
+    get stepsPerSecond() {
+        return this.model.config.stepsPerSecond;
+    }
+
+    // Steps between checkpoints
+    get checkpointSpacing() {
+        return this.model.config.checkpointSpacing;
+    }
+
+    // Avoid spiralling after a stall
+    get maxStepsPerTick() {
+        return this.model.config.maxStepsPerTick;
+    }
+
+    get t() {
+        return this.model.t;
+    }
+
+    get dt() {
+        return this.model.config.timeSpeed;
+    }
+
+    /**
+     * Forget all checkpoints and start again from the model's current state.
+     */
+    reset() {
+        this.accumulator = 0;
+        this.checkpoints = [this.model.saveState()];
+    }
+
+    setPlaybackRate(rate) {
+        if (!Number.isFinite(rate)) {
+            throw new Error(`Invalid playback rate: ${rate}`);
+        }
+        this.playbackRate = rate;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Advance by `elapsed` real seconds at the current playback rate.
+     * Returns the signed number of steps taken; the model's frame is
+     * rebuilt when it is non-zero.
+     */
+    tick(elapsed) {
+        this.accumulator += elapsed * Math.abs(this.playbackRate) * this.stepsPerSecond;
+
+        let steps = Math.floor(this.accumulator);
+        this.accumulator -= steps;
+
+        if (steps > this.maxStepsPerTick) {
+            steps = this.maxStepsPerTick;
+            this.accumulator = 0;
+        }
+
+        if (steps === 0 || this.playbackRate === 0) return 0;
+
+        if (this.playbackRate > 0) {
+            this.advance(steps, true);
+            this.model.buildFrame();
+            return steps;
+        }
+
+        const before = this.stepIndex(this.t);
+        this.seek(this.t - steps * this.dt);
+        return this.stepIndex(this.t) - before;
+    }
+
+    stepForward() {
+        this.advance(1, true);
+        this.model.buildFrame();
+    }
+
+    stepBackward() {
+        this.seek(this.t - this.dt);
+    }
+
+    /**
+     * Jump to simulation time t (clamped at 0, rounded to whole steps)
+     * and rebuild the frame there.
+     */
+    seek(t) {
+        const target = Math.max(0, t);
+        const checkpoint = this.findCheckpoint(target);
+
+        this.model.restoreState(checkpoint);
+        this.advance(Math.max(0, this.stepIndex(target) - this.stepIndex(checkpoint.t)));
+        this.model.buildFrame();
+        this.accumulator = 0;
+        if (this.onSeek) this.onSeek(this.model);
+    }
+
+    /**
+     * Drop checkpoints after time t, e.g. once the config changed and the
+     * future they recorded no longer follows.
+     */
+    invalidateAfter(t) {
+        this.checkpoints = this.checkpoints.filter((checkpoint, i) => i === 0 || checkpoint.t <= t);
+    }
+
+    // Steps from t = 0, assuming the current fixed timestep (frozen at 0)
+    stepIndex(t) {
+        return this.dt > 0 ? Math.round(t / this.dt) : 0;
+    }
+
+    advance(steps, live = false) {
+        const spacing = this.checkpointSpacing * this.dt;
+
+        for (let i = 0; i < steps; i++) {
+            this.model.advance(this.dt);
+            if (live && this.onStep) this.onStep(this.model);
+
+            // Checkpoint whenever we move past the last one
+            const last = this.checkpoints[this.checkpoints.length - 1];
+            if (this.dt > 0 && this.model.t - last.t >= spacing - this.dt / 2) {
+                this.checkpoints.push(this.model.saveState());
+            }
+        }
+    }
+
+    findCheckpoint(t) {
+        // Checkpoints are in ascending time order
+        for (let i = this.checkpoints.length - 1; i > 0; i--) {
+            if (this.checkpoints[i].t <= t + this.dt / 2) {
+                return this.checkpoints[i];
+            }
+        }
+        return this.checkpoints[0];
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Color mapping
+ *
+ * Maps a quantity of the frame through a gradient:
+ * - branches by 'depth', 'energy' or time 'phase'
+ * - wave planes by intensity 'I', vertical wave displacement 'w' (per
+ *   vertex) or time 'phase'
+ *
+ * A palette is the name of a built-in gradient or a list of custom stops:
+ * colors spread evenly (`['#000000', '#ff8800', '#ffffff']`) or placed
+ * with `{ at, color }`, `at` from 0 to 1. Colors are '#rgb' or '#rrggbb'
+ * strings or 0xrrggbb numbers.
+ */
+
+export const PALETTES = {
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    magma: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'],
+    spectral: ['#9e0142', '#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd', '#5e4fa2'],
+    // Starts above black so the low end stays visible on the background
+    monochrome: ['#303030', '#ffffff']
+};
+
+export const BRANCH_COLOR_MODES = ['none', 'depth', 'energy', 'phase'];
+export const PLANE_COLOR_MODES = ['none', 'I', 'w', 'phase'];
+
+// Entries of the lookup table a color scale samples from
+const TABLE_SIZE = 256;
+
+/**
+ * Position of time t in the current time unit (three steps), from 0 to 1.
+ */
+export function timePhase(t) {
+    return t - Math.floor(t);
+}
+
+/**
+ * Color as `{ r, g, b }`, each from 0 to 1.
+ */
+export function parseColor(color) {
+    if (Number.isInteger(color) && color >= 0 && color <= 0xffffff) {
+        return { r: (color >> 16) / 255, g: ((color >> 8) & 0xff) / 255, b: (color & 0xff) / 255 };
+    }
+
+    const match = typeof color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (!match) {
+        throw new Error(`Invalid color: ${JSON.stringify(color)} (expected '#rrggbb', '#rgb' or 0xrrggbb)`);
+    }
+
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    return parseColor(parseInt(hex, 16));
+}
+
+/**
+ * Gradient stops `[{ at, r, g, b }]`, sorted by `at`, of a palette name or
+ * custom stop list. Throws on anything malformed.
+ */
+export function resolvePalette(palette) {
+    if (typeof palette === 'string') {
+        if (!PALETTES[palette]) {
+            throw new Error(`Unknown palette: ${palette} (expected one of ${Object.keys(PALETTES).join(', ')}, or a list of stops)`);
+        }
+        return resolvePalette(PALETTES[palette]);
+    }
+
+    if (!Array.isArray(palette) || palette.length < 2) {
+        throw new Error('A custom palette needs at least two stops');
+    }
+
+    const placed = palette.every(stop => stop && typeof stop === 'object');
+    if (!placed && palette.some(stop => stop && typeof stop === 'object')) {
+        throw new Error('Palette stops must be all colors or all { at, color }');
+    }
+
+    return palette.map((stop, i) => {
+        const at = placed ? stop.at : i / (palette.length - 1);
+        if (!Number.isFinite(at) || at < 0 || at > 1) {
+            throw new Error(`Palette stop position must be between 0 and 1 (got ${at})`);
+        }
+        return { at, ...parseColor(placed ? stop.color : stop) };
+    }).sort((a, b) => a.at - b.at);
+}
+
+/**
+ * A palette sampled into a lookup table, to color many values quickly.
+ * With `linear`, the table holds linear RGB (palettes are sRGB), as
+ * three.js expects of material, vertex and instance colors.
+ */
+export class ColorScale {
+    constructor(palette, { linear = false } = {}) {
+        this.stops = resolvePalette(palette);
+        this.table = new Float32Array(TABLE_SIZE * 3);
+
+        const channel = linear ? srgbToLinear : c => c;
+        for (let i = 0; i < TABLE_SIZE; i++) {
+            const color = sampleStops(this.stops, i / (TABLE_SIZE - 1));
+            this.table[i * 3] = channel(color.r);
+            this.table[i * 3 + 1] = channel(color.g);
+            this.table[i * 3 + 2] = channel(color.b);
+        }
+    }
+
+    /**
+     * Write the color of `value` on the scale from `min` to `max`
+     * (clamped), times `scale`, to `out` at `offset`.
+     */
+    write(value, min, max, out, offset, scale = 1) {
+        const x = max > min ? (value - min) / (max - min) : 0;
+        const i = Math.round(Math.min(1, Math.max(0, x)) * (TABLE_SIZE - 1)) * 3;
+
+        out[offset] = this.table[i] * scale;
+        out[offset + 1] = this.table[i + 1] * scale;
+        out[offset + 2] = this.table[i + 2] * scale;
+    }
+
+    /**
+     * CSS linear-gradient of the palette, for legends.
+     */
+    toCSS(direction = 'to right') {
+        const stops = this.stops.map(({ at, r, g, b }) => `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}) ${(at * 100).toFixed(1)}%`);
+        return `linear-gradient(${direction}, ${stops.join(', ')})`;
+    }
+}
+
+function srgbToLinear(c) {
+    return c < 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function sampleStops(stops, x) {
+    if (x <= stops[0].at) return stops[0];
+
+    const next = stops.findIndex(stop => stop.at >= x);
+    if (next === -1) return stops[stops.length - 1];
+
+    const from = stops[next - 1];
+    const to = stops[next];
+    const f = to.at > from.at ? (x - from.at) / (to.at - from.at) : 1;
+
+    return {
+        r: from.r + (to.r - from.r) * f,
+        g: from.g + (to.g - from.g) * f,
+        b: from.b + (to.b - from.b) * f
+    };
+}
@@ -0,0 +1,166 @@
+import { createEnergyProfile } from './energy-profiles.js';
+import { resolveBranchingRules } from './branching.js';
+import { QUALITY_MODES } from './quality.js';
+import { BRANCH_COLOR_MODES, PLANE_COLOR_MODES, resolvePalette } from './color-map.js';
+
+/**
+ * Configuration schema, validation and defaults
+ *
+ * Every config key is declared here with its type, range and default.
+ * A function default is derived from the config resolved so far (keys are
+ * resolved in declaration order), e.g. I_max = r^4. Keys with `ui` get a
+ * control in the parameter panel.
+ */
+
+export class ConfigError extends Error {
+    constructor(message, key) {
+        super(message);
+        this.name = 'ConfigError';
+        this.key = key;
+    }
+}
+
+export const CONFIG_SCHEMA = {
+    r: { type: 'number', default: 3, exclusiveMin: 1, max: 10, ui: { min: 1.1, max: 6, step: 0.1 } },
+    I_max: { type: 'number', default: config => Math.pow(config.r, 4), exclusiveMin: 0, ui: { min: 1, max: 1296, step: 1 } },
+    E_cap: { type: 'number', default: 13, min: 0, ui: { min: 0, max: 100, step: 0.5 } },
+    lambda_decay: { type: 'number', default: 4, min: 0, ui: { min: 0, max: 20, step: 0.1 } },
+    timeSpeed: { type: 'number', default: 0.01, min: 0, max: 1, ui: { min: 0, max: 0.1, step: 0.001 } },
+    planeSize: { type: 'number', default: 2, exclusiveMin: 0, ui: { min: 0.5, max: 10, step: 0.5 } },
+    planeSegments: { type: 'integer', default: 32, min: 1, max: 256, ui: { min: 1, max: 128, step: 1 } },
+    rayDecay: { type: 'number', default: 3, min: 0, ui: { min: 0, max: 20, step: 0.1 } },
+    rayLength: { type: 'number', default: 50, min: 0, ui: { min: 0, max: 200, step: 1 } },
+    energyRate: { type: 'number', default: 30, min: 0, ui: { min: 0, max: 200, step: 1 } },
+    emissionRate: { type: 'number', default: 1, min: 0, ui: { min: 0, max: 10, step: 0.1 } },
+    energyProfile: { type: 'profile', default: 'triangle' },
+    branching: { type: 'branching', default: 'classic' },
+    historyLength: { type: 'integer', default: 0, min: 0, max: 32, ui: { min: 0, max: 32, step: 1 } },
+    historyThreshold: { type: 'number', default: 0.01, exclusiveMin: 0, max: 1 },
+    historyBudget: { type: 'number', default: 16, min: 0 },
+    seed: { type: 'integer', default: 1, min: 0, max: 4294967295 },
+    jitter: { type: 'number', default: 0, min: 0, max: 1, ui: { min: 0, max: 1, step: 0.01 } },
+    quality: { type: 'enum', values: QUALITY_MODES, default: 'auto' },
+    targetFPS: { type: 'number', default: 50, exclusiveMin: 0, max: 240 },
+    maxSegments: { type: 'integer', default: 50000, min: 1 },
+    maxDrawCalls: { type: 'integer', default: 200, min: 1 },
+    branchColor: { type: 'enum', values: BRANCH_COLOR_MODES, default: 'none' },
+    planeColor: { type: 'enum', values: PLANE_COLOR_MODES, default: 'none' },
+    palette: { type: 'palette', default: 'viridis' },
+    stepsPerSecond: { type: 'number', default: 60, exclusiveMin: 0, max: 1000 },
+    checkpointSpacing: { type: 'integer', default: 60, min: 1 },
+    maxStepsPerTick: { type: 'integer', default: 240, min: 1 },
+    cameraPosition: { type: 'vector', default: () => ({ x: 30, y: 20, z: 50 }) }
+};
+
+/**
+ * Full config from constructor options: every schema key validated or
+ * defaulted. Unlike `options.r || 3`, legitimate falsy values such as
+ * `timeSpeed: 0` are kept. Keys outside the schema are ignored.
+ */
+export function resolveConfig(options = {}) {
+    const config = {};
+
+    Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+        if (options[key] !== undefined) {
+            config[key] = validateValue(key, options[key]);
+        } else {
+            config[key] = typeof spec.default === 'function' ? spec.default(config) : spec.default;
+        }
+    });
+
+    return config;
+}
+
+/**
+ * Validate a partial update against the current config and return the
+ * values to apply. Throws ConfigError on unknown keys or invalid values.
+ *
+ * Derived defaults follow their inputs: changing r also moves I_max to
+ * the new r^4 while I_max still equals the old derived value.
+ */
+export function validateConfigUpdate(partial, current) {
+    const update = {};
+
+    Object.entries(partial).forEach(([key, value]) => {
+        if (!CONFIG_SCHEMA[key]) {
+            throw new ConfigError(`Unknown config key: ${key}`, key);
+        }
+        update[key] = validateValue(key, value);
+    });
+
+    const next = { ...current, ...update };
+    Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+        if (typeof spec.default !== 'function' || key in partial || spec.type === 'vector') return;
+
+        if (current[key] === spec.default(current)) {
+            update[key] = spec.default(next);
+            next[key] = update[key];
+        }
+    });
+
+    return update;
+}
+
+export function validateValue(key, value) {
+    const spec = CONFIG_SCHEMA[key];
+
+    switch (spec.type) {
+    case 'number':
+    case 'integer':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new ConfigError(`${key} must be a finite number (got ${JSON.stringify(value)})`, key);
+        }
+        if (spec.type === 'integer' && !Number.isInteger(value)) {
+            throw new ConfigError(`${key} must be an integer (got ${value})`, key);
+        }
+        if (spec.exclusiveMin !== undefined && value <= spec.exclusiveMin) {
+            throw new ConfigError(`${key} must be greater than ${spec.exclusiveMin} (got ${value})`, key);
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            throw new ConfigError(`${key} must be at least ${spec.min} (got ${value})`, key);
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            throw new ConfigError(`${key} must be at most ${spec.max} (got ${value})`, key);
+        }
+        return value;
+
+    case 'enum':
+        if (!spec.values.includes(value)) {
+            throw new ConfigError(`${key} must be one of ${spec.values.join(', ')} (got ${JSON.stringify(value)})`, key);
+        }
+        return value;
+
+    case 'vector':
+        if (!value || !['x', 'y', 'z'].every(k => Number.isFinite(value[k]))) {
+            throw new ConfigError(`${key} must be an { x, y, z } vector`, key);
+        }
+        return { x: value.x, y: value.y, z: value.z };
+
+    case 'profile':
+        try {
+            createEnergyProfile(value);
+        } catch (error) {
+            throw new ConfigError(`${key}: ${error.message}`, key);
+        }
+        return value;
+
+    case 'branching':
+        try {
+            resolveBranchingRules(value);
+        } catch (error) {
+            throw new ConfigError(`${key}: ${error.message}`, key);
+        }
+        return value;
+
+    case 'palette':
+        try {
+            resolvePalette(value);
+        } catch (error) {
+            throw new ConfigError(`${key}: ${error.message}`, key);
+        }
+        return value;
+
+    default:
+        return value;
+    }
+}
@@ -0,0 +1,90 @@
+import { vec3, add, scale } from './vec3.js';
+
+// Temporal ray axes, in dispersion order
+const AXES = [
+    { axis: 'x', direction: vec3(1, 0, 0) },
+    { axis: 'y', direction: vec3(0, 1, 0) },
+    { axis: 'z', direction: vec3(0, 0, 1) }
+];
+
+// Rays dimmer than this are dropped
+const MIN_BRIGHTNESS = 0.01;
+
+// Excess, as a fraction of I_max, that disperses at full brightness
+const FULL_BRIGHTNESS_EXCESS = 0.01;
+
+/**
+ * Reflection at I_max and temporal ray dispersion.
+ *
+ * When intensity reaches I_max it is reflected back to I_max / r, and the
+ * excess I - I_max splits into three rays along x, y and z. Each ray
+ * carries a third of it: its length is that energy times
+ * `config.rayLength`, and it starts as bright as the excess is large (full
+ * brightness from 1% of I_max up). Both decay exponentially at
+ * `config.rayDecay` per time unit.
+ */
+export class DispersionSystem {
+    constructor(config) {
+        this.config = config;
+        this.rays = [];
+    }
+
+    reset() {
+        this.rays = [];
+    }
+
+    /**
+     * Reflect intensity I at I_max. Returns `{ I, reflected, excess }`
+     * where I is the post-reflection intensity and excess is I - I_max.
+     * Spawns three rays from `origin` when a reflection happens.
+     */
+    reflect(I, origin) {
+        const { I_max, r } = this.config;
+
+        if (I < I_max) {
+            return { I, reflected: false, excess: 0 };
+        }
+
+        const excess = I - I_max;
+        const currentI = I_max / r;
+
+        // The excess leaves as light
+        const rayEnergy = excess / AXES.length;
+        const length = rayEnergy * this.config.rayLength;
+        const brightness = Math.min(1, excess / (FULL_BRIGHTNESS_EXCESS * I_max));
+
+        AXES.forEach(({ axis, direction }) => {
+            this.rays.push({
+                axis,
+                origin: { ...origin },
+                direction: { ...direction },
+                end: add(origin, scale(direction, length)),
+                energy: rayEnergy,
+                initialEnergy: rayEnergy,
+                excess,
+                length,
+                brightness,
+                age: 0
+            });
+        });
+
+        return { I: currentI, reflected: true, excess };
+    }
+
+    /**
+     * Decay live rays over dt time units and drop the ones that faded out.
+     */
+    step(dt) {
+        const decay = Math.exp(-this.config.rayDecay * dt);
+
+        this.rays.forEach(ray => {
+            ray.age += dt;
+            ray.energy *= decay;
+            ray.brightness *= decay;
+            ray.length = ray.energy * this.config.rayLength;
+            ray.end = add(ray.origin, scale(ray.direction, ray.length));
+        });
+
+        this.rays = this.rays.filter(ray => ray.brightness >= MIN_BRIGHTNESS);
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Save data (string, ArrayBuffer or Blob) as a file from the browser.
+ */
+export function downloadFile(data, filename, mimeType = 'application/octet-stream') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoking right after click() can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
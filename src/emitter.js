@@ -0,0 +1,56 @@
+/**
+ * Minimal event emitter with on/off/once.
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return this;
+    }
+
+    off(event, listener) {
+        const set = this.listeners.get(event);
+        if (set) {
+            // A once() wrapper is registered in place of the listener
+            set.forEach(registered => {
+                if (registered === listener || registered.listener === listener) {
+                    set.delete(registered);
+                }
+            });
+        }
+        return this;
+    }
+
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener.apply(this, args);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    emit(event, ...args) {
+        const set = this.listeners.get(event);
+        if (!set) return false;
+
+        // Copy so listeners can unsubscribe while being called
+        [...set].forEach(listener => listener.apply(this, args));
+        return true;
+    }
+
+    removeAllListeners(event) {
+        if (event === undefined) {
+            this.listeners.clear();
+        } else {
+            this.listeners.delete(event);
+        }
+        return this;
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * Energy profile registry
+ *
+ * A profile drives the source energy over time. It is an object with
+ * - `advance(system, dt, t)`: move `system.energy` (and
+ *   `system.energyDirection`) forward by dt time units, t being the
+ *   simulation time at the start of the step
+ * - `reflect(system)` (optional): called after a reflection at I_max
+ *
+ * Profiles are selected with `options.energyProfile`, either as a
+ * registered name, `{ type, ...params }`, or a `(t, state) => energy`
+ * function.
+ */
+
+const registry = new Map();
+
+export function registerEnergyProfile(name, factory) {
+    registry.set(name, factory);
+}
+
+export function getEnergyProfileNames() {
+    return [...registry.keys()];
+}
+
+export function createEnergyProfile(spec = 'triangle') {
+    if (typeof spec === 'function') {
+        return functionProfile(spec);
+    }
+
+    const { type, ...params } = typeof spec === 'string' ? { type: spec } : spec;
+    const factory = registry.get(type);
+
+    if (!factory) {
+        throw new Error(`Unknown energy profile: ${type}`);
+    }
+
+    return { name: type, ...factory(params) };
+}
+
+// Profiles defined as energy = f(t) set the direction from the slope
+function setFromFunction(system, energy) {
+    if (energy > system.energy) system.energyDirection = 1;
+    else if (energy < system.energy) system.energyDirection = -1;
+    system.energy = Math.max(0, energy);
+}
+
+function functionProfile(fn) {
+    return {
+        name: 'custom',
+        advance(system, dt, t) {
+            setFromFunction(system, fn(t + dt, {
+                energy: system.energy,
+                energyDirection: system.energyDirection,
+                field: system.field,
+                dt,
+                config: system.config
+            }));
+        }
+    };
+}
+
+// Expand at energyRate, contract back to 0 after reflecting
+registerEnergyProfile('triangle', () => ({
+    advance(system, dt) {
+        const increment = system.config.energyRate * dt;
+
+        if (system.energyDirection === 1) {
+            // Expanding
+            system.energy += increment;
+        } else {
+            // Contracting (self-consuming)
+            system.energy -= increment;
+            if (system.energy <= 0) {
+                system.energy = 0;
+                system.energyDirection = 1; // Start expanding again
+            }
+        }
+    },
+    reflect(system) {
+        system.energyDirection = -1; // Start contracting (self-consuming)
+    }
+}));
+
+// Rise at energyRate only; each reflection drops back to I_max / r
+registerEnergyProfile('sawtooth', () => ({
+    advance(system, dt) {
+        system.energyDirection = 1;
+        system.energy += system.config.energyRate * dt;
+    }
+}));
+
+// Pure r^n growth (n = 3t), reflected back to I_max / r at I_max
+registerEnergyProfile('exponential', ({ stepsPerUnit = 3, seed = 1 } = {}) => ({
+    advance(system, dt) {
+        system.energyDirection = 1;
+        system.energy = Math.max(system.energy, seed) * Math.pow(system.config.r, stepsPerUnit * dt);
+    }
+}));
+
+// Logistic growth towards I_max; the steepest slope equals energyRate
+registerEnergyProfile('logistic', ({ capacity = null, seed = 1 } = {}) => ({
+    advance(system, dt) {
+        const K = capacity || system.config.I_max;
+        const k = 4 * system.config.energyRate / K;
+        const E = Math.max(system.energy, seed);
+
+        system.energyDirection = 1;
+        system.energy = K / (1 + ((K - E) / E) * Math.exp(-k * dt));
+    }
+}));
+
+// Sine around I_max / 2 whose amplitude dies out as e^(-damping * t)
+registerEnergyProfile('dampedSine', ({ damping = 0.1, period = null } = {}) => ({
+    advance(system, dt, t) {
+        const { I_max, energyRate } = system.config;
+        // Same period as the triangle wave by default
+        const T = period || 2 * I_max / energyRate;
+        const time = t + dt;
+
+        setFromFunction(system, I_max / 2 * (1 + Math.exp(-damping * time) * Math.sin(2 * Math.PI * time / T)));
+    }
+}));
@@ -0,0 +1,82 @@
+import { createEnergyProfile } from './energy-profiles.js';
+
+/**
+ * Energy subsystem
+ *
+ * - Source energy follows the configured energy profile (by default a
+ *   triangle wave that expands at `energyRate` per time unit and contracts
+ *   back to 0 once it has reflected, see DispersionSystem)
+ * - The source continuously emits into the branch field, which decays
+ *   as e^(-lambda_decay * t)
+ * - Field energy above E_cap is recycled back into the source
+ */
+export class EnergySystem {
+    /**
+     * With a `profile` the system keeps its own curve (secondary energy
+     * sources); without one it follows, and writes, `config.energyProfile`.
+     */
+    constructor(config, profile = null) {
+        this.config = config;
+        this.followsConfig = profile === null;
+        this.setProfile(profile === null ? config.energyProfile : profile);
+        this.reset();
+    }
+
+    setProfile(spec = 'triangle') {
+        this.profile = createEnergyProfile(spec);
+        if (this.followsConfig) {
+            this.config.energyProfile = spec;
+        }
+    }
+
+    reset() {
+        this.energy = 0; // Source energy
+        this.energyDirection = 1; // 1 = expanding, -1 = contracting (self-consuming)
+        this.field = 0; // Energy held by the branches
+        this.recycled = 0; // Surplus recycled on the last step
+        this.totalRecycled = 0;
+        this.recycleCount = 0;
+    }
+
+    /**
+     * Move source energy along its profile by dt time units from time t.
+     */
+    advance(dt, t) {
+        this.profile.advance(this, dt, t);
+    }
+
+    /**
+     * Let the profile react to a reflection at I_max.
+     */
+    reflect() {
+        if (this.profile.reflect) this.profile.reflect(this);
+    }
+
+    /**
+     * Emit source energy into the field, decay the field and recycle any
+     * surplus above E_cap back into the source. Returns the recycled amount.
+     */
+    exchange(dt) {
+        const { E_cap, emissionRate } = this.config;
+
+        this.field = this.field * this.decayFactor(dt) + this.energy * emissionRate * dt;
+        this.recycled = 0;
+
+        if (this.field > E_cap) {
+            this.recycled = this.field - E_cap;
+            this.field = E_cap;
+            this.energy += this.recycled;
+            this.totalRecycled += this.recycled;
+            this.recycleCount++;
+        }
+
+        return this.recycled;
+    }
+
+    /**
+     * Fraction of energy left after `age` time units of exponential decay.
+     */
+    decayFactor(age) {
+        return Math.exp(-this.config.lambda_decay * age);
+    }
+}
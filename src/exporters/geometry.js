@@ -0,0 +1,118 @@
+import { vec3, add, sub, scale, length, normalize, cross } from '../vec3.js';
+
+/**
+ * Triangle meshes for a model frame, built from plain model state so they
+ * can be exported without three.js or a WebGL context.
+ *
+ * Each mesh is `{ name, positions: Float32Array, indices: Uint32Array }`
+ * in world space with counter-clockwise (outward) winding.
+ */
+export function buildFrameMeshes(state, { radialSegments = 8 } = {}) {
+    const meshes = [];
+
+    if (state.branches.length > 0) {
+        meshes.push(buildBranchMesh(state.branches, radialSegments));
+    }
+
+    state.planes.forEach((plane, i) => {
+        meshes.push(buildPlaneMesh(plane, `plane_${i}`));
+    });
+
+    return meshes;
+}
+
+/**
+ * All branch segments as closed cylinders in one mesh, matching the
+ * renderer's CylinderGeometry wires.
+ */
+export function buildBranchMesh(branches, radialSegments = 8) {
+    // Per cylinder: two rings plus two cap centers; sides and caps
+    const vertsPer = radialSegments * 2 + 2;
+    const trisPer = radialSegments * 4;
+    const positions = new Float32Array(branches.length * vertsPer * 3);
+    const indices = new Uint32Array(branches.length * trisPer * 3);
+
+    let v = 0;
+    let f = 0;
+    let count = 0;
+
+    branches.forEach(({ start, end, radius }) => {
+        const axis = sub(end, start);
+        if (length(axis) === 0) return;
+
+        // Orthonormal frame (side1, side2, u) around the wire
+        const u = normalize(axis);
+        const helper = Math.abs(u.x) < 0.9 ? vec3(1, 0, 0) : vec3(0, 1, 0);
+        const side1 = normalize(cross(u, helper));
+        const side2 = cross(u, side1);
+
+        const base = count;
+        const writeVertex = (p) => {
+            positions[v++] = p.x;
+            positions[v++] = p.y;
+            positions[v++] = p.z;
+            count++;
+        };
+
+        for (let k = 0; k < radialSegments; k++) {
+            const theta = (k / radialSegments) * Math.PI * 2;
+            const offset = add(scale(side1, Math.cos(theta) * radius), scale(side2, Math.sin(theta) * radius));
+            writeVertex(add(start, offset));
+            writeVertex(add(end, offset));
+        }
+        writeVertex(start);
+        writeVertex(end);
+
+        const bottomCenter = base + radialSegments * 2;
+        const topCenter = bottomCenter + 1;
+
+        for (let k = 0; k < radialSegments; k++) {
+            const next = (k + 1) % radialSegments;
+            const b0 = base + k * 2;
+            const t0 = b0 + 1;
+            const b1 = base + next * 2;
+            const t1 = b1 + 1;
+
+            // Side quad
+            indices.set([b0, b1, t1, b0, t1, t0], f);
+            // Caps
+            indices.set([topCenter, t0, t1, bottomCenter, b1, b0], f + 6);
+            f += 12;
+        }
+    });
+
+    return {
+        name: 'branches',
+        positions: positions.subarray(0, v),
+        indices: indices.subarray(0, f)
+    };
+}
+
+/**
+ * Deformed wave plane grid, triangulated like THREE.PlaneGeometry.
+ */
+export function buildPlaneMesh(plane, name = 'plane') {
+    const gridX1 = plane.segments + 1;
+    const positions = new Float32Array(plane.positions);
+    const indices = new Uint32Array(plane.segments * plane.segments * 6);
+
+    // Model positions are plane-local; lift them to the plane's z
+    for (let i = 2; i < positions.length; i += 3) {
+        positions[i] += plane.z;
+    }
+
+    let f = 0;
+    for (let iy = 0; iy < plane.segments; iy++) {
+        for (let ix = 0; ix < plane.segments; ix++) {
+            const a = ix + gridX1 * iy;
+            const b = ix + gridX1 * (iy + 1);
+            const c = (ix + 1) + gridX1 * (iy + 1);
+            const d = (ix + 1) + gridX1 * iy;
+
+            indices.set([a, b, d, b, c, d], f);
+            f += 6;
+        }
+    }
+
+    return { name, positions, indices };
+}
@@ -0,0 +1,111 @@
+// glTF component types and buffer view targets
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * glTF 2.0 JSON for a list of meshes, with all vertex and index data in a
+ * single base64 buffer embedded as a data URI. Meshes without triangles
+ * (e.g. branches whose segments all have zero length) are left out, and
+ * no geometry at all (a frame before the first step) gives a valid empty
+ * scene.
+ */
+export function toGLTF(allMeshes) {
+    // glTF forbids empty accessors, empty top-level arrays and zero-length
+    // buffers
+    const meshes = allMeshes.filter(({ positions, indices }) => positions.length > 0 && indices.length > 0);
+    if (meshes.length === 0) {
+        return JSON.stringify({
+            asset: { version: '2.0', generator: 'SD Reality Fractal Creation' },
+            scene: 0,
+            scenes: [{}]
+        });
+    }
+
+    const byteLength = meshes.reduce((sum, { positions, indices }) => sum + positions.byteLength + indices.byteLength, 0);
+    const bytes = new Uint8Array(byteLength);
+
+    const gltf = {
+        asset: { version: '2.0', generator: 'SD Reality Fractal Creation' },
+        scene: 0,
+        scenes: [{ nodes: meshes.map((mesh, i) => i) }],
+        nodes: meshes.map(({ name }, i) => ({ name, mesh: i })),
+        meshes: [],
+        materials: [{
+            name: 'light',
+            pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 },
+            doubleSided: true
+        }],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+
+    let byteOffset = 0;
+    const addView = (array, target) => {
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), byteOffset);
+        gltf.bufferViews.push({ buffer: 0, byteOffset, byteLength: array.byteLength, target });
+        byteOffset += array.byteLength; // Float32 and Uint32 data keep 4-byte alignment
+        return gltf.bufferViews.length - 1;
+    };
+
+    meshes.forEach(({ name, positions, indices }) => {
+        const { min, max } = bounds(positions);
+
+        gltf.accessors.push({
+            bufferView: addView(positions, ARRAY_BUFFER),
+            componentType: FLOAT,
+            count: positions.length / 3,
+            type: 'VEC3',
+            min,
+            max
+        });
+        gltf.accessors.push({
+            bufferView: addView(indices, ELEMENT_ARRAY_BUFFER),
+            componentType: UNSIGNED_INT,
+            count: indices.length,
+            type: 'SCALAR'
+        });
+
+        gltf.meshes.push({
+            name,
+            primitives: [{
+                attributes: { POSITION: gltf.accessors.length - 2 },
+                indices: gltf.accessors.length - 1,
+                material: 0
+            }]
+        });
+    });
+
+    gltf.buffers.push({
+        byteLength,
+        uri: `data:application/octet-stream;base64,${toBase64(bytes)}`
+    });
+
+    return JSON.stringify(gltf);
+}
+
+// POSITION accessors must declare their bounds
+function bounds(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], positions[i + k]);
+            max[k] = Math.max(max[k], positions[i + k]);
+        }
+    }
+
+    return { min, max };
+}
+
+function toBase64(bytes) {
+    // Chunked to stay under the argument limit of String.fromCharCode
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
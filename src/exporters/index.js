@@ -0,0 +1,34 @@
+import { buildFrameMeshes } from './geometry.js';
+import { toGLTF } from './gltf.js';
+import { toOBJ } from './obj.js';
+import { toSTL } from './stl.js';
+
+export const EXPORT_FORMATS = {
+    gltf: { extension: 'gltf', mimeType: 'model/gltf+json', serialize: toGLTF },
+    obj: { extension: 'obj', mimeType: 'model/obj', serialize: toOBJ },
+    stl: { extension: 'stl', mimeType: 'model/stl', serialize: toSTL }
+};
+
+/**
+ * Serialize the branches and wave planes of a model frame
+ * (`FractalModel#getState()`).
+ *
+ * Returns `{ format, data, extension, mimeType }` where data is a string
+ * for glTF and OBJ and an ArrayBuffer for STL.
+ */
+export function exportFrame(state, { format = 'gltf', radialSegments = 8 } = {}) {
+    const entry = EXPORT_FORMATS[format];
+
+    if (!entry) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const meshes = buildFrameMeshes(state, { radialSegments });
+
+    return {
+        format,
+        data: entry.serialize(meshes),
+        extension: entry.extension,
+        mimeType: entry.mimeType
+    };
+}
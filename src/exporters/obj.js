@@ -0,0 +1,27 @@
+/**
+ * Wavefront OBJ text for a list of meshes, one `o` object each.
+ */
+export function toOBJ(meshes) {
+    const lines = ['# SD Reality Fractal Creation - frame export'];
+    let vertexOffset = 1; // OBJ indices are 1-based and global
+
+    meshes.forEach(({ name, positions, indices }) => {
+        lines.push(`o ${name}`);
+
+        for (let i = 0; i < positions.length; i += 3) {
+            lines.push(`v ${num(positions[i])} ${num(positions[i + 1])} ${num(positions[i + 2])}`);
+        }
+        for (let i = 0; i < indices.length; i += 3) {
+            lines.push(`f ${indices[i] + vertexOffset} ${indices[i + 1] + vertexOffset} ${indices[i + 2] + vertexOffset}`);
+        }
+
+        vertexOffset += positions.length / 3;
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Float32 precision without the float64 noise
+function num(value) {
+    return +value.toPrecision(7);
+}
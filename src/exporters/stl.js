@@ -0,0 +1,56 @@
+/**
+ * Binary STL for a list of meshes, merged into a single solid.
+ *
+ * Layout: 80-byte header, uint32 triangle count, then per triangle a
+ * float32 normal, three float32 vertices and a uint16 attribute.
+ */
+export function toSTL(meshes) {
+    const triangleCount = meshes.reduce((sum, mesh) => sum + mesh.indices.length / 3, 0);
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(buffer);
+
+    const header = 'SD Reality Fractal Creation - frame export';
+    for (let i = 0; i < header.length; i++) {
+        view.setUint8(i, header.charCodeAt(i));
+    }
+    view.setUint32(80, triangleCount, true);
+
+    let offset = 84;
+    meshes.forEach(({ positions, indices }) => {
+        for (let i = 0; i < indices.length; i += 3) {
+            const a = indices[i] * 3;
+            const b = indices[i + 1] * 3;
+            const c = indices[i + 2] * 3;
+
+            // Face normal from the winding order
+            const ux = positions[b] - positions[a];
+            const uy = positions[b + 1] - positions[a + 1];
+            const uz = positions[b + 2] - positions[a + 2];
+            const vx = positions[c] - positions[a];
+            const vy = positions[c + 1] - positions[a + 1];
+            const vz = positions[c + 2] - positions[a + 2];
+            let nx = uy * vz - uz * vy;
+            let ny = uz * vx - ux * vz;
+            let nz = ux * vy - uy * vx;
+            const len = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+            nx /= len;
+            ny /= len;
+            nz /= len;
+
+            [nx, ny, nz].forEach(value => {
+                view.setFloat32(offset, value, true);
+                offset += 4;
+            });
+            [a, b, c].forEach(index => {
+                for (let k = 0; k < 3; k++) {
+                    view.setFloat32(offset, positions[index + k], true);
+                    offset += 4;
+                }
+            });
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        }
+    });
+
+    return buffer;
+}
@@ -0,0 +1,168 @@
+/**
+ * Vector 2D projection of a model frame as an SVG document.
+ *
+ * Branch segments become stroked paths whose width follows the wire
+ * radius at their projected depth, and each wave plane contributes its
+ * deformed outline. Paths are depth-sorted back to front so nearer wires
+ * paint over farther ones.
+ *
+ * Views:
+ * - 'camera': perspective through `camera` = `{ projectionMatrix,
+ *   matrixWorldInverse }` (column-major 4x4 arrays or THREE.Matrix4s)
+ * - 'top', 'front', 'side': orthographic, fitted to the drawing
+ */
+
+// Orthographic views: screen right, screen up and towards-viewer axes
+const ORTHO_VIEWS = {
+    front: { right: [1, 0, 0], up: [0, 1, 0], toward: [0, 0, 1] },
+    top: { right: [1, 0, 0], up: [0, 0, -1], toward: [0, 1, 0] },
+    side: { right: [0, 0, -1], up: [0, 1, 0], toward: [1, 0, 0] }
+};
+
+export const SVG_VIEWS = ['camera', ...Object.keys(ORTHO_VIEWS)];
+
+export function exportSVG(state, {
+    view = 'front',
+    camera = null,
+    width = 1024,
+    height = 1024,
+    padding = 20,
+    stroke = '#ffffff',
+    background = '#000000',
+    minStrokeWidth = 0.25
+} = {}) {
+    if (!SVG_VIEWS.includes(view)) {
+        throw new Error(`Unknown SVG view: ${view}`);
+    }
+    if (view === 'camera' && !camera) {
+        throw new Error('The camera view needs a camera');
+    }
+
+    const project = view === 'camera'
+        ? perspectiveProjector(camera, width, height)
+        : orthoProjector(state, ORTHO_VIEWS[view], width, height, padding);
+
+    const paths = [];
+
+    state.branches.forEach(({ start, end, radius, opacity }) => {
+        const a = project(start);
+        const b = project(end);
+        if (!a || !b) return; // Behind the camera
+
+        // Stroke width from the wire diameter at the segment's depth
+        const pixelsPerUnit = (a.pixelsPerUnit + b.pixelsPerUnit) / 2;
+        paths.push({
+            depth: (a.depth + b.depth) / 2,
+            svg: `<path d="M${num(a.x)} ${num(a.y)}L${num(b.x)} ${num(b.y)}" stroke-width="${num(Math.max(minStrokeWidth, radius * 2 * pixelsPerUnit))}" stroke-opacity="${num(opacity)}"/>`
+        });
+    });
+
+    state.planes.forEach(plane => {
+        const points = planeOutline(plane).map(project);
+        if (points.some(point => !point)) return;
+
+        paths.push({
+            depth: points.reduce((sum, point) => sum + point.depth, 0) / points.length,
+            svg: `<path d="M${points.map(point => `${num(point.x)} ${num(point.y)}`).join('L')}Z" fill="none" stroke-width="1" stroke-opacity="0.6"/>`
+        });
+    });
+
+    // Painter's order: larger depth is farther away
+    paths.sort((p, q) => q.depth - p.depth);
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        background ? `<rect width="100%" height="100%" fill="${background}"/>` : '',
+        `<g fill="none" stroke="${stroke}" stroke-linecap="round" stroke-linejoin="round">`,
+        ...paths.map(path => path.svg),
+        '</g>',
+        '</svg>'
+    ].filter(Boolean).join('\n') + '\n';
+}
+
+/**
+ * Border vertices of a deformed plane grid in world space, in order.
+ */
+function planeOutline(plane) {
+    const gridX1 = plane.segments + 1;
+    const last = plane.segments;
+    const indices = [];
+
+    for (let ix = 0; ix < last; ix++) indices.push(ix);
+    for (let iy = 0; iy < last; iy++) indices.push(last + gridX1 * iy);
+    for (let ix = last; ix > 0; ix--) indices.push(ix + gridX1 * last);
+    for (let iy = last; iy > 0; iy--) indices.push(gridX1 * iy);
+
+    return indices.map(i => ({
+        x: plane.positions[i * 3],
+        y: plane.positions[i * 3 + 1],
+        z: plane.positions[i * 3 + 2] + plane.z
+    }));
+}
+
+function perspectiveProjector(camera, width, height) {
+    const P = elements(camera.projectionMatrix);
+    const V = elements(camera.matrixWorldInverse);
+
+    return (p) => {
+        // View space (camera looks down -z)
+        const vx = V[0] * p.x + V[4] * p.y + V[8] * p.z + V[12];
+        const vy = V[1] * p.x + V[5] * p.y + V[9] * p.z + V[13];
+        const vz = V[2] * p.x + V[6] * p.y + V[10] * p.z + V[14];
+
+        const cx = P[0] * vx + P[4] * vy + P[8] * vz + P[12];
+        const cy = P[1] * vx + P[5] * vy + P[9] * vz + P[13];
+        const cw = P[3] * vx + P[7] * vy + P[11] * vz + P[15];
+        if (cw <= 0) return null;
+
+        return {
+            x: (cx / cw + 1) / 2 * width,
+            y: (1 - cy / cw) / 2 * height,
+            depth: -vz,
+            pixelsPerUnit: P[5] * height / 2 / cw
+        };
+    };
+}
+
+function orthoProjector(state, { right, up, toward }, width, height, padding) {
+    const dot = (p, axis) => p.x * axis[0] + p.y * axis[1] + p.z * axis[2];
+
+    // Fit the bounds of everything drawn into the page
+    const points = [
+        ...state.branches.flatMap(({ start, end }) => [start, end]),
+        ...state.planes.flatMap(planeOutline)
+    ];
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    points.forEach(p => {
+        minX = Math.min(minX, dot(p, right));
+        maxX = Math.max(maxX, dot(p, right));
+        minY = Math.min(minY, dot(p, up));
+        maxY = Math.max(maxY, dot(p, up));
+    });
+    if (points.length === 0) {
+        minX = minY = -1;
+        maxX = maxY = 1;
+    }
+
+    const scale = Math.min(
+        (width - padding * 2) / ((maxX - minX) || 1),
+        (height - padding * 2) / ((maxY - minY) || 1)
+    );
+    const offsetX = (width - (maxX - minX) * scale) / 2;
+    const offsetY = (height - (maxY - minY) * scale) / 2;
+
+    return (p) => ({
+        x: offsetX + (dot(p, right) - minX) * scale,
+        y: offsetY + (maxY - dot(p, up)) * scale,
+        depth: -dot(p, toward),
+        pixelsPerUnit: scale
+    });
+}
+
+function elements(matrix) {
+    return matrix.elements || matrix;
+}
+
+function num(value) {
+    return +value.toFixed(2);
+}
@@ -0,0 +1,46 @@
+/**
+ * 16-bit PCM WAV of audio channels (Float32Arrays of samples from -1 to
+ * 1, all the same length), e.g. AudioBuffer#getChannelData of each channel.
+ *
+ * Layout: RIFF header, 'fmt ' chunk, then a 'data' chunk of interleaved
+ * little-endian int16 samples, clipped to full scale.
+ */
+export function toWAV(channels, sampleRate) {
+    const channelCount = channels.length;
+    const frameCount = channelCount > 0 ? channels[0].length : 0;
+    const blockAlign = channelCount * 2;
+    const dataSize = frameCount * blockAlign;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeTag = (offset, tag) => {
+        for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+    };
+
+    writeTag(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeTag(8, 'WAVE');
+
+    writeTag(12, 'fmt ');
+    view.setUint32(16, 16, true); // Chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true); // Bytes per second
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true); // Bits per sample
+
+    writeTag(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < frameCount; i++) {
+        for (let c = 0; c < channelCount; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+
+    return buffer;
+}
@@ -0,0 +1,785 @@
+import { vec3, add, sub, scale, length, normalize, lerp } from './vec3.js';
+import { DispersionSystem } from './dispersion.js';
+import { EnergySystem } from './energy.js';
+import { resolveConfig, validateConfigUpdate } from './config.js';
+import { resolveBranchingRules, branchMaxDepth, fanAngles } from './branching.js';
+import { hashSeed, createRandom } from './random.js';
+import { PRIMARY_SOURCE_ID, validateSourceChanges, describeSource } from './sources.js';
+
+// Rough size of one branch segment object, for the history memory budget
+const SEGMENT_BYTES = 200;
+
+// Number of main branches increases with energy (but capped), plus any
+// `extra` from modulation
+function mainBranchCount(totalEnergy, extra = 0) {
+    return Math.max(1, Math.min(3 + Math.floor(totalEnergy / 3), 9) + Math.round(extra));
+}
+
+/**
+ * Modulation that leaves the model as configured (see setModulation).
+ */
+export const NEUTRAL_MODULATION = Object.freeze({ energy: 0, phase: 0, branches: 0, r: 0 });
+
+/**
+ * Headless Fractal Time Model
+ *
+ * All of the simulation math behind FractalTimeEngine, with no three.js,
+ * WebGL or DOM dependency:
+ * - Energy wave that expands to I_max and contracts back to 0
+ * - Reflection at I_max with dispersion into 3 temporal rays (x, y, z)
+ * - Energy cap E_cap recycling and lambda_decay exponential decay
+ * - Wave planes with intensity I(n) = r^n * |sin(6πn)|
+ * - Recursive fractal branches radiating from each energy source, whose
+ *   waves interfere on the planes
+ * - Optional history trail of past steps, fading with lambda_decay
+ * - Optional seeded jitter (`seed`, `jitter`) of branch angles, lengths,
+ *   split points and wave phase, reproducible for a given seed
+ *
+ * Every step produces a plain-data description of the frame (planes with
+ * deformed vertex positions, branch segments with start/end, radius, depth,
+ * energy and opacity) that any renderer can draw, and that can be
+ * inspected in Node or a worker.
+ */
+export class FractalModel {
+    constructor(options = {}) {
+        // Configuration, validated against the schema in config.js
+        this.config = resolveConfig(options);
+
+        this.energySystem = new EnergySystem(this.config);
+        this.dispersion = new DispersionSystem(this.config);
+        this.branching = resolveBranchingRules(this.config.branching);
+
+        // Energy sources, primary first. Like the config they are not part
+        // of the saved state: moving one applies to the whole timeline.
+        this.sources = [{
+            id: PRIMARY_SOURCE_ID,
+            position: vec3(0, 0, 0),
+            phase: 0,
+            weight: 1,
+            profile: null,
+            system: this.energySystem
+        }];
+        this.nextSourceId = PRIMARY_SOURCE_ID + 1;
+
+        // Level-of-detail caps from the renderer's quality manager, or null
+        // for full detail; they shape the frame, never the simulation
+        this.detail = null;
+
+        // Live offsets over the config, e.g. from audio input
+        this.modulation = NEUTRAL_MODULATION;
+
+        // Set when geometry is generated elsewhere (see frame-worker.js):
+        // buildFrame() then only marks the frame stale, and it is generated
+        // here on first access through getState()
+        this.deferGeometry = false;
+
+        // Vertices of the current step's plane, reused (see computePlane)
+        this.planePositions = null;
+
+        this.reset();
+    }
+
+    reset() {
+        this.t = 0;
+        this.frameT = 0; // Time at the start of the last step
+        this.n = 0;
+        this.interval = 0;
+        this.planes = [];
+        this.branches = [];
+        this.frameStale = false;
+        this.reflected = false;
+        this.excess = 0;
+        this.decay = 1;
+        this.milestones = { energyPeak: false, energyTrough: false, recycle: false, reflect: false };
+
+        // History: a small recipe per finished step (saved with the state)
+        // and the geometry rebuilt from the visible ones
+        this.historyRecipes = [];
+        this.history = [];
+        this.historyCache = new Map();
+
+        this.sources.forEach(({ system }) => system.reset());
+        this.dispersion.reset();
+    }
+
+    // Source energy is owned by the energy subsystem
+    get energy() { return this.energySystem.energy; }
+    set energy(value) { this.energySystem.energy = value; }
+
+    get energyDirection() { return this.energySystem.energyDirection; }
+    set energyDirection(value) { this.energySystem.energyDirection = value; }
+
+    get energySource() { return this.sources[0].position; }
+
+    /**
+     * Validate and apply a partial config update in place. Throws a
+     * ConfigError (leaving the config untouched) on invalid values.
+     * Returns the values that were applied, including derived ones.
+     */
+    setConfig(partial) {
+        const update = validateConfigUpdate(partial, this.config);
+
+        Object.assign(this.config, update);
+        this.historyCache.clear();
+        if ('energyProfile' in update) {
+            this.setEnergyProfile(update.energyProfile);
+        }
+        if ('branching' in update) {
+            this.branching = resolveBranchingRules(update.branching);
+        }
+
+        return update;
+    }
+
+    /**
+     * Cap frame detail to `{ maxDepth, maxPlaneSegments, maxHistory }` (see
+     * quality.js), or restore full detail with null. Takes effect from the
+     * next buildFrame().
+     */
+    setDetail(detail) {
+        this.detail = detail;
+        this.historyCache.clear();
+    }
+
+    /**
+     * Offset the config with live inputs (any of):
+     * - `energy`: added to every source's energy per time unit
+     * - `phase`: added to the wave phase of the planes, in radians
+     * - `branches`: extra main branches per source (rounded)
+     * - `r`: added to the growth base r of planes and branches (not to
+     *   I_max or the energy profile)
+     *
+     * Energy applies from the next step, the rest from the next
+     * buildFrame(). The modulation is saved with the state.
+     */
+    setModulation(modulation) {
+        Object.entries(modulation).forEach(([key, value]) => {
+            if (!(key in NEUTRAL_MODULATION)) {
+                throw new Error(`Unknown modulation: ${key} (expected ${Object.keys(NEUTRAL_MODULATION).join(', ')})`);
+            }
+            if (!Number.isFinite(value)) {
+                throw new Error(`Modulation ${key} must be a finite number (got ${value})`);
+            }
+        });
+
+        // Replaced, never mutated, so saved states can share it
+        this.modulation = { ...this.modulation, ...modulation };
+    }
+
+    /**
+     * Growth base r with its modulation, kept above 1.
+     */
+    get growth() {
+        return Math.max(1.01, this.config.r + this.modulation.r);
+    }
+
+    /**
+     * Switch the energy profile (name, `{ type, ...params }` or
+     * `(t, state) => energy`) without touching the rest of the state.
+     */
+    setEnergyProfile(spec) {
+        this.energySystem.setProfile(spec);
+        this.sources.forEach(({ profile, system }) => {
+            if (profile === null && system !== this.energySystem) system.setProfile(spec);
+        });
+    }
+
+    /**
+     * Add an energy source `{ position, phase, weight, profile }` (all
+     * optional) and return its id. It starts with no energy.
+     */
+    addSource(spec = {}) {
+        const source = this.createSource(this.nextSourceId++, validateSourceChanges(spec));
+
+        this.sources.push(source);
+        this.historyCache.clear();
+        return source.id;
+    }
+
+    /**
+     * Change a source's position, phase, weight or (for added sources)
+     * profile.
+     */
+    updateSource(id, changes) {
+        const source = this.getSource(id);
+        const valid = validateSourceChanges(changes);
+
+        if ('profile' in valid) {
+            if (id === PRIMARY_SOURCE_ID) {
+                throw new Error('The primary source follows config.energyProfile');
+            }
+            source.system.setProfile(valid.profile === null ? this.config.energyProfile : valid.profile);
+        }
+        Object.assign(source, valid);
+        this.historyCache.clear();
+    }
+
+    moveSource(id, position) {
+        this.updateSource(id, { position });
+    }
+
+    removeSource(id) {
+        if (id === PRIMARY_SOURCE_ID) {
+            throw new Error('The primary source cannot be removed');
+        }
+        this.sources.splice(this.sources.indexOf(this.getSource(id)), 1);
+        this.historyCache.clear();
+    }
+
+    /**
+     * Replace all sources with `[{ id, position, phase, weight, profile }]`
+     * (e.g. from a snapshot). The first entry configures the primary
+     * source; ids of the others are kept so their jitter is reproduced.
+     * Nothing changes if any entry is invalid.
+     */
+    setSources(list) {
+        const ids = new Set([PRIMARY_SOURCE_ID]);
+        const entries = list.map(({ id, position, phase, weight, profile }, i) => {
+            const spec = validateSourceChanges(Object.fromEntries(
+                Object.entries({ position, phase, weight, profile }).filter(([, value]) => value !== undefined)
+            ));
+            if (i === 0) return { id: PRIMARY_SOURCE_ID, spec };
+
+            if (id !== undefined) {
+                if (!Number.isInteger(id) || id < PRIMARY_SOURCE_ID || ids.has(id)) {
+                    throw new Error(`Invalid energy source id: ${id}`);
+                }
+                ids.add(id);
+            }
+            return { id, spec };
+        });
+
+        const [primary, ...others] = entries;
+        this.sources.length = 1;
+        if (primary) {
+            const { profile, ...changes } = primary.spec;
+            Object.assign(this.sources[0], changes);
+        }
+
+        this.nextSourceId = Math.max(...ids) + 1;
+        others.forEach(({ id, spec }) => {
+            this.sources.push(this.createSource(id === undefined ? this.nextSourceId++ : id, spec));
+        });
+        this.historyCache.clear();
+    }
+
+    createSource(id, { position = vec3(0, 0, 0), phase = 0, weight = 1, profile = null }) {
+        return {
+            id,
+            position,
+            phase,
+            weight,
+            profile,
+            system: new EnergySystem(this.config, profile === null ? this.config.energyProfile : profile)
+        };
+    }
+
+    getSource(id) {
+        const source = this.sources.find(s => s.id === id);
+        if (!source) {
+            throw new Error(`Unknown energy source: ${id}`);
+        }
+        return source;
+    }
+
+    /**
+     * Advance the simulation by one step of `dt` time units and return the
+     * resulting frame state. `step(0)` rebuilds the frame without advancing.
+     */
+    step(dt = this.config.timeSpeed) {
+        this.advance(dt);
+        this.buildFrame();
+
+        return this.getState();
+    }
+
+    /**
+     * Advance energy, rays and time by dt without generating geometry.
+     * Cheap enough to replay many steps when seeking.
+     */
+    advance(dt = this.config.timeSpeed) {
+        const n = Math.floor(this.t * 3);
+        const previousDirection = this.energyDirection;
+
+        // Entering a new step: keep the finished one for the history trail
+        if (n !== this.n && this.config.historyLength > 0) {
+            this.recordHistory();
+        }
+
+        // Existing rays fade before new ones are dispersed
+        this.dispersion.step(dt);
+
+        // Each source's energy follows its profile; its branch field
+        // recycles the surplus above E_cap back into it
+        this.reflected = false;
+        this.excess = 0;
+        let recycled = false;
+
+        this.sources.forEach(({ position, system }) => {
+            system.advance(dt, this.t);
+            if (this.modulation.energy !== 0) {
+                system.energy = Math.max(0, system.energy + this.modulation.energy * dt);
+            }
+            system.exchange(dt);
+            if (system.recycled > 0) recycled = true;
+
+            // Reflection at I_max: clamp to I_max / r and disperse the rest
+            const origin = add(position, vec3(0, 0, n * 6));
+            const { I, reflected, excess } = this.dispersion.reflect(system.energy, origin);
+            system.energy = I;
+            if (reflected) {
+                system.reflect();
+                this.reflected = true;
+                this.excess += excess;
+            }
+        });
+
+        // Branch energy and opacity decay over the age of the current step
+        this.decay = this.energySystem.decayFactor(Math.max(0, this.t - n / 3));
+
+        // Every 1/3 interval, create exponential expansion
+        this.n = n;
+        this.interval = Math.floor(n * 3);
+        this.frameT = this.t;
+
+        // What happened during this step
+        this.milestones = {
+            energyPeak: previousDirection === 1 && this.energyDirection === -1,
+            energyTrough: previousDirection === -1 && this.energyDirection === 1,
+            recycle: recycled,
+            reflect: this.reflected
+        };
+
+        this.t += dt;
+    }
+
+    /**
+     * Generate the planes and branches for the last advanced step (or
+     * defer it, see `deferGeometry`).
+     */
+    buildFrame() {
+        if (this.deferGeometry) {
+            this.frameStale = true;
+            return;
+        }
+        this.generateFrame();
+    }
+
+    /**
+     * Generate a deferred frame now, if it has not been yet.
+     */
+    ensureFrame() {
+        if (this.frameStale) this.generateFrame();
+    }
+
+    generateFrame() {
+        this.frameStale = false;
+        this.branches = this.sources.flatMap(source => this.generateFractalFromEnergySource(this.frameT, this.n, source));
+        this.planes = [];
+
+        // Wave plane; reflection keeps energy below I_max
+        const plane = this.computePlane(this.n, this.frameT, true);
+        if (plane) this.planes.push(plane);
+
+        this.buildHistory();
+    }
+
+    /**
+     * Remember what is needed to rebuild the last step's frame. Recipe
+     * lists are replaced, never mutated, so saved states can share them.
+     */
+    recordHistory() {
+        const recipe = {
+            n: this.n,
+            t: this.frameT,
+            decay: this.decay,
+            energies: this.sources.map(({ id, system }) => ({ id, energy: system.energy }))
+        };
+
+        this.historyRecipes = [...this.historyRecipes, recipe].slice(-this.config.historyLength);
+    }
+
+    /**
+     * Frames of past steps, newest first, each faded by
+     * e^(-lambda_decay * age). Stops at `historyLength` frames, at the
+     * first one below `historyThreshold` or when their geometry would
+     * exceed `historyBudget` MB; only the frames kept stay cached.
+     */
+    buildHistory() {
+        const { historyThreshold, historyBudget, lambda_decay } = this.config;
+        const historyLength = Math.min(this.config.historyLength, this.detail ? this.detail.maxHistory : Infinity);
+        const budget = historyBudget * 1024 * 1024;
+        const cache = new Map();
+        let bytes = 0;
+
+        this.history = [];
+        for (let i = this.historyRecipes.length - 1; i >= 0 && this.history.length < historyLength; i--) {
+            const recipe = this.historyRecipes[i];
+            const fade = Math.exp(-lambda_decay * (this.frameT - recipe.t));
+            if (fade < historyThreshold) break; // Older steps only fade further
+
+            const frame = this.historyCache.get(recipe) || this.buildHistoryFrame(recipe);
+            bytes += frame.bytes;
+            if (bytes > budget) break;
+
+            cache.set(recipe, frame);
+            this.history.push({ ...frame, fade });
+        }
+
+        this.historyCache = cache;
+    }
+
+    buildHistoryFrame({ n, t, decay, energies }) {
+        const branches = [];
+        energies.forEach(({ id, energy }) => {
+            // Sources removed since then leave no trail
+            const source = this.sources.find(s => s.id === id);
+            if (source) branches.push(...this.generateFractalFromEnergySource(t, n, source, energy, decay));
+        });
+
+        const plane = this.computePlane(n, t);
+        const planes = plane ? [plane] : [];
+        const bytes = branches.length * SEGMENT_BYTES + planes.reduce((sum, p) => sum + p.positions.byteLength, 0);
+
+        return { n, t, branches, planes, bytes };
+    }
+
+    /**
+     * Copy of everything needed to resume from this point. Restoring it and
+     * calling buildFrame() reproduces the current frame exactly.
+     */
+    saveState() {
+        const saveEnergy = system => ({
+            energy: system.energy,
+            energyDirection: system.energyDirection,
+            field: system.field,
+            recycled: system.recycled,
+            totalRecycled: system.totalRecycled,
+            recycleCount: system.recycleCount
+        });
+
+        return {
+            t: this.t,
+            frameT: this.frameT,
+            n: this.n,
+            interval: this.interval,
+            reflected: this.reflected,
+            excess: this.excess,
+            decay: this.decay,
+            modulation: this.modulation,
+            historyRecipes: this.historyRecipes,
+            energy: saveEnergy(this.energySystem),
+            // Added sources' energy by id
+            sourceEnergy: this.sources.slice(1).map(({ id, system }) => ({ id, energy: saveEnergy(system) })),
+            rays: this.dispersion.rays.map(ray => ({
+                ...ray,
+                origin: { ...ray.origin },
+                direction: { ...ray.direction },
+                end: { ...ray.end }
+            }))
+        };
+    }
+
+    restoreState(saved) {
+        const { energy, sourceEnergy, rays, ...rest } = saved;
+
+        Object.assign(this, rest);
+        Object.assign(this.energySystem, energy);
+
+        // Sources added after the save start from nothing
+        this.sources.slice(1).forEach(({ id, system }) => {
+            const savedSource = sourceEnergy.find(entry => entry.id === id);
+            system.reset();
+            if (savedSource) Object.assign(system, savedSource.energy);
+        });
+        this.dispersion.rays = rays.map(ray => ({
+            ...ray,
+            origin: { ...ray.origin },
+            direction: { ...ray.direction },
+            end: { ...ray.end }
+        }));
+    }
+
+    /**
+     * Plain-data snapshot of the current frame. Planes, branches and rays
+     * are the live arrays of the last step; treat them as read-only.
+     */
+    getState() {
+        const model = this;
+
+        return {
+            t: this.t,
+            n: this.n,
+            interval: this.interval,
+            energy: this.energy,
+            energyDirection: this.energyDirection,
+            field: this.energySystem.field,
+            recycled: this.energySystem.recycled,
+            recycleCount: this.energySystem.recycleCount,
+            decay: this.decay,
+            energySource: { ...this.energySource },
+            sources: this.sources.map(describeSource),
+            reflected: this.reflected,
+            excess: this.excess,
+            milestones: { ...this.milestones },
+            // Deferred geometry is generated when first read
+            get planes() { model.ensureFrame(); return model.planes; },
+            get branches() { model.ensureFrame(); return model.branches; },
+            get history() { model.ensureFrame(); return model.history; },
+            rays: this.dispersion.rays
+        };
+    }
+
+    /**
+     * Wave plane intensity I(n) = r^n * |sin(6πn)|, r with its modulation.
+     */
+    planeIntensity(n) {
+        return Math.pow(this.growth, n) * Math.abs(Math.sin(6 * Math.PI * n));
+    }
+
+    /**
+     * Branch counts of the current step at full detail, worked out from
+     * the energies alone (jitter moves branches but never prunes them), so
+     * they are cheap enough to take every step without building the frame:
+     * `{ I, mainBranches, maxDepth, branches }`.
+     */
+    measureFrame() {
+        const rules = this.branching;
+        const children = rules.splits.length * (rules.angles ? rules.angles.length : rules.fan);
+        let mainBranches = 0;
+        let maxDepth = -1;
+        let branches = 0;
+
+        // Mirrors the pruning in createFractalBranch
+        const count = (energy, depth, depthLimit) => {
+            if (depth > depthLimit || energy < rules.minEnergy) return 0;
+
+            maxDepth = Math.max(maxDepth, depth);
+            return 1 + (depth < depthLimit ? children * count(energy / rules.energyDivision, depth + 1, depthLimit) : 0);
+        };
+
+        this.sources.forEach(({ weight, system }) => {
+            const totalEnergy = system.energy * weight;
+            const main = mainBranchCount(totalEnergy, this.modulation.branches);
+
+            mainBranches += main;
+            branches += main * count(totalEnergy / main * this.decay, 0, branchMaxDepth(rules, totalEnergy, this.config));
+        });
+
+        return { I: this.planeIntensity(this.n), mainBranches, maxDepth: branches > 0 ? maxDepth : null, branches };
+    }
+
+    /**
+     * Wave plane for step n, or null when its intensity is negligible.
+     *
+     * `positions` holds the deformed vertices in the same order as
+     * THREE.PlaneGeometry(size, size, segments, segments), so a renderer can
+     * copy them straight into a position attribute. With `reuse` (the
+     * current step's plane) they go into a buffer kept between steps,
+     * overwritten by the next one.
+     */
+    computePlane(n, t = this.frameT, reuse = false) {
+        const I = this.planeIntensity(n);
+
+        if (I < 0.1) return null;
+
+        const size = this.config.planeSize;
+        const segments = Math.min(this.config.planeSegments, this.detail ? this.detail.maxPlaneSegments : Infinity);
+        const half = size / 2;
+        const segmentSize = size / segments;
+        const vertexFloats = (segments + 1) * (segments + 1) * 3;
+        if (reuse && (!this.planePositions || this.planePositions.length !== vertexFloats)) {
+            this.planePositions = new Float32Array(vertexFloats);
+        }
+        const positions = reuse ? this.planePositions : new Float32Array(vertexFloats);
+
+        // Seeded phase shift, fixed for the plane's step, plus modulation
+        const phase = (this.config.jitter > 0
+            ? (createRandom(hashSeed(this.config.seed, n, -1))() * 2 - 1) * this.config.jitter * Math.PI
+            : 0) + this.modulation.phase;
+
+        // Source positions in plane units (the grid is scaled by I)
+        const [primary, ...others] = this.sources;
+        const px = primary.position.x / I;
+        const py = primary.position.y / I;
+        const centers = others.map(({ position, phase: sourcePhase, weight }) => ({
+            x: position.x / I,
+            y: position.y / I,
+            phase: sourcePhase + phase,
+            weight
+        }));
+
+        // Apply wave deformation: the primary source's diagonal wave plus a
+        // circular wave around each added source, superposed so they
+        // interfere constructively and destructively
+        let offset = 0;
+        for (let iy = 0; iy <= segments; iy++) {
+            const y = -(iy * segmentSize - half);
+            for (let ix = 0; ix <= segments; ix++) {
+                const x = ix * segmentSize - half;
+                let w = primary.weight * Math.sin(6 * Math.PI * ((x - px) + (y - py)) / Math.sqrt(2) + primary.phase + phase);
+                for (let i = 0; i < centers.length; i++) {
+                    const c = centers[i];
+                    w += c.weight * Math.sin(6 * Math.PI * Math.hypot(x - c.x, y - c.y) + c.phase);
+                }
+
+                positions[offset++] = x * I;
+                positions[offset++] = y * I;
+                positions[offset++] = w * I;
+            }
+        }
+
+        return { n, t, I, z: n * 6, size, segments, phase, positions };
+    }
+
+    /**
+     * Recursive branch segments from startPos to endPos. Each segment is
+     * `{ start, end, radius, depth, energy, opacity, interval }`, listed in
+     * pre-order: every segment right before its own subtree.
+     *
+     * `key` identifies the branch for seeded jitter; children derive theirs
+     * from it, so a branch varies the same way whenever it is rebuilt.
+     */
+    createFractalBranch(startPos, endPos, energy, depth, maxDepth, interval, key = 0, decay = this.decay) {
+        const rules = this.branching;
+        if (depth > maxDepth || energy < rules.minEnergy) return [];
+
+        const branches = [];
+        const distance = length(sub(endPos, startPos));
+        const normalizedDir = normalize(sub(endPos, startPos));
+
+        // Wire thickness based on energy
+        const radius = Math.max(0.02, Math.min(0.3, energy * 0.02 + depth * 0.01));
+
+        branches.push({
+            start: { ...startPos },
+            end: { ...endPos },
+            radius,
+            depth,
+            energy,
+            opacity: Math.max(0.5, 1 - depth * 0.15) * decay,
+            interval
+        });
+
+        // Recursive subdivision following the branching rules (by default
+        // three children from each of the 1/3 and 2/3 points)
+        if (depth < maxDepth) {
+            const subEnergy = energy / rules.energyDivision; // Divide energy among branches
+            const subDistance = distance * rules.lengthRatio;
+
+            // Exponential expansion (or falloff) with depth
+            const expansionFactor = Math.pow(this.growth, depth * rules.lengthGrowth);
+            const angles = fanAngles(rules, depth);
+
+            // Symmetric unless jittered: vary(amount) is within ±amount * jitter
+            const { jitter } = this.config;
+            const random = jitter > 0 ? createRandom(key) : null;
+            const vary = (amount) => (random ? (random() * 2 - 1) * jitter * amount : 0);
+            const splitSpread = 0.5 / (rules.splits.length + 1);
+            const angleSpread = Math.PI / angles.length;
+
+            rules.splits.forEach((split, s) => {
+                const t = Math.min(1, Math.max(0, split + vary(splitSpread)));
+                const midPoint = lerp(startPos, endPos, t);
+
+                angles.forEach((fanAngle, a) => {
+                    const angle = fanAngle + vary(angleSpread);
+                    const perpDir = normalize(vec3(
+                        Math.cos(angle),
+                        Math.sin(angle),
+                        normalizedDir.z * rules.lift
+                    ));
+
+                    const childLength = subDistance * expansionFactor * (1 + vary(0.5));
+                    const newEnd = add(midPoint, scale(perpDir, childLength));
+
+                    // Recursively create sub-branches
+                    const subBranches = this.createFractalBranch(
+                        midPoint,
+                        newEnd,
+                        subEnergy,
+                        depth + 1,
+                        maxDepth,
+                        interval + 1,
+                        hashSeed(key, s * angles.length + a),
+                        decay
+                    );
+                    branches.push(...subBranches);
+                });
+            });
+        }
+
+        return branches;
+    }
+
+    /**
+     * Main branches (and their sub-branches) of one energy source, the
+     * primary source by default, at its current energy and decay unless
+     * given (as for history frames).
+     */
+    generateFractalFromEnergySource(t, n, source = this.sources[0], energy = source.system.energy, decay = this.decay) {
+        // Use the accumulated source energy, scaled by the source's weight
+        const totalEnergy = energy * source.weight;
+        const origin = source.position;
+        const interval = Math.floor(n * 3);
+
+        // Max depth increases with energy
+        const maxDepth = Math.min(
+            branchMaxDepth(this.branching, totalEnergy, this.config),
+            this.detail ? this.detail.maxDepth : Infinity
+        );
+
+        const allBranches = [];
+
+        this.mainBranchLayout(n, source, energy, decay).forEach(({ index: i, angle, distance, energy: branchEnergy }) => {
+            const endPos = vec3(
+                origin.x + Math.cos(angle) * distance,
+                origin.y + Math.sin(angle) * distance,
+                origin.z + n * 6
+            );
+
+            // Create recursive fractal branches; every source jitters
+            // differently (its id offsets the seed)
+            const branches = this.createFractalBranch(
+                origin,
+                endPos,
+                branchEnergy,
+                0,
+                maxDepth,
+                interval,
+                hashSeed(this.config.seed + source.id, n, i),
+                decay
+            );
+
+            allBranches.push(...branches);
+        });
+
+        return allBranches;
+    }
+
+    /**
+     * Main branches of one source as generateFractalFromEnergySource lays
+     * them out, without their sub-branches: `[{ index, angle, distance,
+     * energy }]`, energy after decay. Cheap enough for every step.
+     */
+    mainBranchLayout(n, source = this.sources[0], energy = source.system.energy, decay = this.decay) {
+        const totalEnergy = energy * source.weight;
+
+        // Calculate interval (every 1/3)
+        const interval = Math.floor(n * 3);
+        const intervalProgress = (n * 3) % 1;
+
+        const numMainBranches = mainBranchCount(totalEnergy, this.modulation.branches);
+        const angleStep = (Math.PI * 2) / numMainBranches;
+
+        // Distance scales with energy and shows expansion/contraction
+        const distance = totalEnergy * (1 + interval * 0.3);
+
+        return Array.from({ length: numMainBranches }, (_, index) => ({
+            index,
+            angle: angleStep * index + intervalProgress * 0.5,
+            distance,
+            energy: totalEnergy / numMainBranches * decay
+        }));
+    }
+}
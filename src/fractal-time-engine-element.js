@@ -0,0 +1,199 @@
+import { FractalTimeEngine } from '../demo.js';
+import { CONFIG_SCHEMA, ConfigError, validateValue } from './config.js';
+import { UI_STYLES, CONTROLS_TEMPLATE } from './ui-template.js';
+
+/**
+ * <fractal-time-engine> custom element
+ *
+ * Wraps a FractalTimeEngine with its own control bar and info panel in a
+ * shadow root, so a page only needs the element and the importmap for
+ * three.js (demo.js imports the bare `three` specifiers, see index.html):
+ *
+ *     <script type="importmap">{ "imports": { "three": "…", "three/addons/": "…" } }</script>
+ *     <script type="module" src="src/fractal-time-engine-element.js"></script>
+ *     <fractal-time-engine r="3" e-cap="13" wireframe></fractal-time-engine>
+ *
+ * Attributes are inputs: changing one updates the running engine, but
+ * changes made through the controls or API are not reflected back.
+ * `playing` and `wireframe` are boolean attributes where "false" counts
+ * as off; without `playing` the simulation plays, as it does standalone.
+ * `worker` (same rules) is only read when the engine is created.
+ *
+ * Engine events are re-dispatched from the element as CustomEvents with
+ * the payload in `detail`, and the engine's methods are available on the
+ * element while it is connected.
+ */
+
+// Config attributes and the keys they set
+const CONFIG_ATTRIBUTES = {
+    'r': 'r',
+    'i-max': 'I_max',
+    'e-cap': 'E_cap',
+    'time-speed': 'timeSpeed',
+    'plane-segments': 'planeSegments',
+    'seed': 'seed',
+    'jitter': 'jitter',
+    'quality': 'quality',
+    'target-fps': 'targetFPS',
+    'branch-color': 'branchColor',
+    'plane-color': 'planeColor',
+    'palette': 'palette'
+};
+
+const ENGINE_EVENTS = ['step', 'energyPeak', 'energyTrough', 'recycle', 'reflect', 'planeCreated', 'sourcesChanged', 'qualityChanged', 'cameraModeChanged',
+    'branchHovered', 'branchSelected', 'audioChanged', 'audioOnset', 'soundChanged', 'frameRendered', 'error'];
+
+const ENGINE_METHODS = [
+    'start', 'stop', 'seek', 'setPlaybackRate', 'stepForward', 'stepBackward',
+    'setConfig', 'reseed', 'setPlaying', 'setWireframe', 'setQuality', 'getQuality', 'use',
+    'addSource', 'updateSource', 'moveSource', 'removeSource', 'getSources', 'setPlacingSources',
+    'exportFrame', 'downloadFrame', 'exportSVG', 'downloadSVG',
+    'startRecording', 'stopRecording', 'getRecording', 'exportRecording', 'downloadRecording',
+    'getSnapshot', 'loadSnapshot', 'loadPreset', 'getShareURL', 'downloadSnapshot',
+    'setLegendVisible', 'pickBranch', 'getBranchInfo', 'selectBranch', 'zoomCamera', 'rotateCamera',
+    'setCameraMode', 'addCameraKeyframe', 'setCameraKeyframes', 'getCameraTrack', 'loadCameraTrack', 'downloadCameraTrack',
+    'startAudio', 'stopAudio', 'setAudioOptions', 'getAudioFeatures',
+    'startSound', 'stopSound', 'setSoundOptions', 'setVolume', 'setMuted', 'renderSound', 'exportWAV', 'downloadWAV'
+];
+
+export class FractalTimeEngineElement extends HTMLElement {
+    static get observedAttributes() {
+        return [...Object.keys(CONFIG_ATTRIBUTES), 'playing', 'wireframe'];
+    }
+
+    constructor() {
+        super();
+
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `<style>${UI_STYLES}</style>${CONTROLS_TEMPLATE}<div class="container" part="canvas"></div>`;
+        this.engine = null;
+    }
+
+    connectedCallback() {
+        // Moved within the document: keep the engine from disconnectedCallback
+        if (this.engine) return;
+
+        const options = { ui: this.shadowRoot, worker: readBoolean(this, 'worker', false) };
+        Object.entries(CONFIG_ATTRIBUTES).forEach(([attribute, key]) => {
+            const value = this.readConfigAttribute(attribute);
+            if (value !== undefined) options[key] = value;
+        });
+
+        this.engine = new FractalTimeEngine(this.shadowRoot.querySelector('.container'), options);
+        ENGINE_EVENTS.forEach(type => {
+            this.engine.on(type, detail => {
+                this.dispatchEvent(new CustomEvent(type, { detail }));
+            });
+        });
+
+        this.engine.setPlaying(readBoolean(this, 'playing', true));
+        this.engine.setWireframe(readBoolean(this, 'wireframe', false));
+    }
+
+    disconnectedCallback() {
+        // Wait a microtask so a move (disconnect + reconnect) keeps the engine
+        queueMicrotask(() => {
+            if (this.isConnected || !this.engine) return;
+
+            this.engine.dispose();
+            this.engine = null;
+        });
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.engine || oldValue === newValue) return;
+
+        if (name === 'playing') {
+            this.engine.setPlaying(readBoolean(this, 'playing', true));
+        } else if (name === 'wireframe') {
+            this.engine.setWireframe(readBoolean(this, 'wireframe', false));
+        } else {
+            const key = CONFIG_ATTRIBUTES[name];
+            const value = this.readConfigAttribute(name);
+            if (value === undefined && newValue !== null) return; // Invalid; already reported
+
+            // A removed attribute goes back to the key's default
+            const spec = CONFIG_SCHEMA[key];
+            const fallback = typeof spec.default === 'function' ? spec.default(this.engine.config) : spec.default;
+            this.engine.setConfig({ [key]: value === undefined ? fallback : value });
+        }
+    }
+
+    /**
+     * Validated value (a number, or the string itself for enum keys such
+     * as `quality` and palette names) from a config attribute; undefined
+     * when absent or invalid. Invalid values fire a `configerror` event
+     * instead of throwing out of the attribute callback.
+     */
+    readConfigAttribute(attribute) {
+        const raw = this.getAttribute(attribute);
+        if (raw === null) return undefined;
+
+        const key = CONFIG_ATTRIBUTES[attribute];
+        const value = ['enum', 'palette'].includes(CONFIG_SCHEMA[key].type) ? raw.trim() : (raw.trim() === '' ? NaN : Number(raw));
+        try {
+            return validateValue(key, value);
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+
+            this.dispatchEvent(new CustomEvent('configerror', { detail: { attribute, value: raw, error } }));
+            return undefined;
+        }
+    }
+
+    get model() {
+        return this.engine ? this.engine.model : null;
+    }
+
+    get config() {
+        return this.engine ? this.engine.config : null;
+    }
+
+    get t() {
+        return this.engine ? this.engine.t : 0;
+    }
+
+    get isPlaying() {
+        return this.engine ? this.engine.isPlaying : false;
+    }
+
+    get isRunning() {
+        return this.engine ? this.engine.isRunning : false;
+    }
+
+    get isRecording() {
+        return this.engine ? this.engine.isRecording : false;
+    }
+
+    get isAudioActive() {
+        return this.engine ? this.engine.isAudioActive : false;
+    }
+
+    get isSounding() {
+        return this.engine ? this.engine.isSounding : false;
+    }
+
+    get cameraMode() {
+        return this.engine ? this.engine.cameraMode : 'free';
+    }
+}
+
+// Engine methods, forwarded while connected
+ENGINE_METHODS.forEach(name => {
+    FractalTimeEngineElement.prototype[name] = function (...args) {
+        if (!this.engine) {
+            throw new Error(`<fractal-time-engine> must be connected to call ${name}()`);
+        }
+        return this.engine[name](...args);
+    };
+});
+
+// Present (unless "false") means on; absent means the engine default
+function readBoolean(element, attribute, fallback) {
+    if (!element.hasAttribute(attribute)) return fallback;
+    return element.getAttribute(attribute) !== 'false';
+}
+
+if (!customElements.get('fractal-time-engine')) {
+    customElements.define('fractal-time-engine', FractalTimeEngineElement);
+}
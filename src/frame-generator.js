@@ -0,0 +1,193 @@
+import { FramePool, packFrame, frameBuffers, bufferTransferables } from './frame-packing.js';
+import { serializableConfig } from './snapshot.js';
+import { DEFAULT_BRANCHING } from './branching.js';
+
+/**
+ * Frame generators
+ *
+ * Turn the model's current step into a packed frame (frame-packing.js)
+ * for the renderer's `onFrame` callback. SyncFrameGenerator does it on
+ * the spot on the main thread; WorkerFrameGenerator posts the model's
+ * saved state to frame-worker.js, so the recursion and plane deformation
+ * run off the main thread and the renderer only uploads the buffers.
+ *
+ * Both pack the same model output, so the frames are identical. The
+ * renderer hands each frame back through release() once it has been
+ * replaced, so its buffers are reused rather than reallocated. The
+ * worker path falls back to the synchronous one when workers are missing
+ * or fail, and for frames it cannot post (branching rules with a
+ * `maxDepth` function).
+ */
+
+export function createFrameGenerator(model, onFrame, { worker = false } = {}) {
+    if (worker && typeof Worker !== 'undefined') {
+        try {
+            return new WorkerFrameGenerator(model, onFrame, new Worker(new URL('./frame-worker.js', import.meta.url), { type: 'module' }));
+        } catch (error) {
+            // Module workers unsupported (or blocked): generate in place
+            console.warn('Frame worker unavailable, generating on the main thread:', error);
+        }
+    }
+    return new SyncFrameGenerator(model, onFrame);
+}
+
+/**
+ * What the worker's mirror model needs besides the saved state, or null
+ * when it cannot be posted. Energy profiles are left out: they drive the
+ * simulation, which stays on the main thread, not the frame. So are the
+ * color settings, applied by the renderer to packed frames.
+ */
+export function frameSetup(model) {
+    if (model.branching.maxDepth) return null;
+
+    const { energyProfile, branchColor, planeColor, palette, ...config } = serializableConfig(model.config);
+
+    return {
+        // Resolved rules, so rule sets registered on this thread work too
+        config: { ...config, branching: { base: DEFAULT_BRANCHING, ...model.branching } },
+        sources: model.sources.map(({ id, position, phase, weight }) => ({ id, position: { ...position }, phase, weight })),
+        detail: model.detail
+    };
+}
+
+export class SyncFrameGenerator {
+    constructor(model, onFrame) {
+        this.model = model;
+        this.onFrame = onFrame;
+        this.pool = new FramePool();
+    }
+
+    get threaded() {
+        return false;
+    }
+
+    /**
+     * Pack the model's current frame.
+     */
+    request() {
+        this.model.ensureFrame();
+        this.onFrame(packFrame(this.model.getState(), this.pool));
+    }
+
+    /**
+     * Take back the buffers of a frame the renderer has replaced, for the
+     * next one.
+     */
+    release(frame) {
+        this.pool.release(frameBuffers(frame));
+    }
+
+    dispose() {}
+}
+
+export class WorkerFrameGenerator {
+    constructor(model, onFrame, worker) {
+        this.model = model;
+        this.onFrame = onFrame;
+        this.worker = worker;
+        this.fallback = new SyncFrameGenerator(model, onFrame);
+
+        // The main thread's model only simulates; its geometry is built
+        // (by the fallback, exports or plugins) only when asked for
+        model.deferGeometry = true;
+
+        // One frame in flight at a time; requests meanwhile collapse into
+        // one for the latest state. Frames from an older setup (config,
+        // sources, detail) are dropped.
+        this.busy = false;
+        this.pending = false;
+        this.version = 0;
+        this.setupKey = null;
+
+        // Frames packed by the worker, whose buffers go back to its pool
+        this.workerFrames = new WeakSet();
+
+        worker.addEventListener('message', ({ data }) => this.handleFrame(data));
+        worker.addEventListener('error', () => this.fail());
+        worker.addEventListener('messageerror', () => this.fail());
+    }
+
+    get threaded() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Generate the model's current frame in the worker; it is delivered
+     * asynchronously.
+     */
+    request() {
+        if (!this.worker) {
+            this.fallback.request();
+        } else if (this.busy) {
+            this.pending = true;
+        } else {
+            this.post();
+        }
+    }
+
+    post() {
+        const setup = frameSetup(this.model);
+        this.pending = false;
+
+        if (!setup) {
+            this.setupKey = null;
+            this.fallback.request();
+            return;
+        }
+
+        const message = { state: this.model.saveState() };
+        const setupKey = JSON.stringify(setup);
+        if (setupKey !== this.setupKey) {
+            this.setupKey = setupKey;
+            this.version++;
+            message.setup = setup;
+        }
+        message.version = this.version;
+
+        this.busy = true;
+        this.worker.postMessage(message);
+    }
+
+    /**
+     * Send a worker frame's buffers back to the worker (transferred) for
+     * its next frames; fallback frames go back to the fallback's pool.
+     */
+    release(frame) {
+        if (!this.workerFrames.has(frame)) {
+            this.fallback.release(frame);
+        } else if (this.worker) {
+            const buffers = frameBuffers(frame);
+            this.worker.postMessage({ release: buffers }, bufferTransferables(buffers));
+        }
+    }
+
+    handleFrame({ version, frame }) {
+        this.busy = false;
+        this.workerFrames.add(frame);
+        if (version === this.version) {
+            this.onFrame(frame);
+        } else {
+            this.release(frame);
+        }
+        if (this.pending) this.post();
+    }
+
+    /**
+     * The worker failed to load or threw: carry on synchronously,
+     * starting with the latest frame.
+     */
+    fail() {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.busy = false;
+        this.pending = false;
+        this.fallback.request();
+    }
+
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Packed frames
+ *
+ * A model frame flattened into typed arrays a renderer can upload as-is:
+ *
+ *     {
+ *         n, t,
+ *         branchCount,   // segments of the current step
+ *         segmentCount,  // current segments, then every history frame's
+ *         matrices,      // Float32Array, a column-major 4x4 instance matrix
+ *                        // per segment: a unit cylinder along Y scaled to
+ *                        // radius and length, rotated and moved into place
+ *         opacities,     // Float32Array, segment opacity times history fade
+ *         bounds,        // Float32Array, midpoint x, y, z, length and depth
+ *                        // per segment, for screen-size culling
+ *         energies,      // Float32Array, segment energy
+ *         times,         // Float32Array, time t of the segment's frame
+ *         intervals,     // Int32Array, segment interval
+ *         parents,       // Int32Array, index of the parent segment (-1 for
+ *                        // main branches)
+ *         planeCount,    // planes of the current step
+ *         planes         // [{ n, t, I, z, size, segments, fade, positions }],
+ *                        // current first, then history
+ *     }
+ *
+ * Packing runs wherever the frame was generated (main thread or worker),
+ * so both produce the same arrays; the buffers are transferable. With a
+ * FramePool the arrays are exact-length views of pooled buffers, which
+ * the renderer gives back once it has replaced the frame.
+ */
+
+export const MATRIX_FLOATS = 16;
+export const BOUNDS_FLOATS = 5;
+
+/**
+ * Buffers of packed frames for reuse: `{ matrices, opacities, …, planes:
+ * [ArrayBuffer] }` sets, one per frame, grown (doubling) only when a
+ * frame outgrows them.
+ */
+export class FramePool {
+    constructor() {
+        this.free = [];
+    }
+
+    take() {
+        return this.free.pop() || { planes: [] };
+    }
+
+    /**
+     * Give back a set from frameBuffers(), once nothing reads its frame.
+     */
+    release(buffers) {
+        this.free.push(buffers);
+    }
+}
+
+/**
+ * Pack the frame of a model state (FractalModel#getState()), into
+ * buffers from `pool` when given.
+ */
+export function packFrame(state, pool = null) {
+    const frames = [{ t: state.t, branches: state.branches, planes: state.planes, fade: 1 }, ...state.history];
+    const segmentCount = frames.reduce((sum, frame) => sum + frame.branches.length, 0);
+    const buffers = pool ? pool.take() : { planes: [] };
+
+    const matrices = lease(buffers, 'matrices', Float32Array, segmentCount * MATRIX_FLOATS);
+    const opacities = lease(buffers, 'opacities', Float32Array, segmentCount);
+    const bounds = lease(buffers, 'bounds', Float32Array, segmentCount * BOUNDS_FLOATS);
+    const energies = lease(buffers, 'energies', Float32Array, segmentCount);
+    const times = lease(buffers, 'times', Float32Array, segmentCount);
+    const intervals = lease(buffers, 'intervals', Int32Array, segmentCount);
+    const parents = lease(buffers, 'parents', Int32Array, segmentCount);
+
+    let i = 0;
+    frames.forEach(({ t, branches, fade }) => {
+        // Branches come in pre-order (see FractalModel#createFractalBranch):
+        // a segment's parent is the last one seen a level up
+        const lastAtDepth = [];
+
+        branches.forEach(segment => {
+            writeSegment(segment, matrices, bounds, i);
+            opacities[i] = segment.opacity * fade;
+            energies[i] = segment.energy;
+            times[i] = t;
+            intervals[i] = segment.interval;
+            parents[i] = segment.depth > 0 ? lastAtDepth[segment.depth - 1] : -1;
+            lastAtDepth[segment.depth] = i;
+            i++;
+        });
+    });
+
+    // Positions are copied: the model keeps (and caches) its own
+    const planes = [];
+    frames.forEach(({ planes: framePlanes, fade }) => {
+        framePlanes.forEach(({ n, t, I, z, size, segments, positions }) => {
+            const copy = lease(buffers.planes, planes.length, Float32Array, positions.length);
+            copy.set(positions);
+            planes.push({ n, t, I, z, size, segments, fade, positions: copy });
+        });
+    });
+
+    return {
+        n: state.n,
+        t: state.t,
+        branchCount: state.branches.length,
+        segmentCount,
+        matrices,
+        opacities,
+        bounds,
+        energies,
+        times,
+        intervals,
+        parents,
+        planeCount: state.planes.length,
+        planes
+    };
+}
+
+/**
+ * The buffer set behind a packed frame, for FramePool#release.
+ */
+export function frameBuffers(frame) {
+    return {
+        matrices: frame.matrices.buffer,
+        opacities: frame.opacities.buffer,
+        bounds: frame.bounds.buffer,
+        energies: frame.energies.buffer,
+        times: frame.times.buffer,
+        intervals: frame.intervals.buffer,
+        parents: frame.parents.buffer,
+        planes: frame.planes.map(({ positions }) => positions.buffer)
+    };
+}
+
+/**
+ * Buffers of a packed frame, to transfer rather than copy it.
+ */
+export function frameTransferables(frame) {
+    return bufferTransferables(frameBuffers(frame));
+}
+
+/**
+ * The buffers of a set from frameBuffers(), as a transfer list.
+ */
+export function bufferTransferables({ planes, ...segments }) {
+    return [...Object.values(segments), ...planes];
+}
+
+// View of `length` elements on holder[key], whose buffer is replaced by
+// one twice as large (or just large enough) when it is too small
+function lease(holder, key, ArrayType, length) {
+    const bytes = length * ArrayType.BYTES_PER_ELEMENT;
+    const buffer = holder[key];
+    if (!buffer || buffer.byteLength < bytes) {
+        holder[key] = new ArrayBuffer(Math.max(bytes, buffer ? buffer.byteLength * 2 : 0));
+    }
+    return new ArrayType(holder[key], 0, length);
+}
+
+/**
+ * Instance matrix and bounds of segment `i`. The rotation is the shortest
+ * arc from +Y to the segment's direction (as three.js'
+ * Quaternion#setFromUnitVectors), composed like Matrix4#compose.
+ */
+function writeSegment({ start, end, radius, depth }, matrices, bounds, i) {
+    let dx = end.x - start.x;
+    let dy = end.y - start.y;
+    let dz = end.z - start.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const inverse = 1 / (length || 1);
+    dx *= inverse;
+    dy *= inverse;
+    dz *= inverse;
+
+    // Quaternion rotating (0, 1, 0) onto (dx, dy, dz)
+    let qx = dz;
+    let qy = 0;
+    let qz = -dx;
+    let qw = dy + 1;
+    if (qw < Number.EPSILON) {
+        // Pointing down -Y: half turn about Z
+        qx = 0;
+        qz = 1;
+        qw = 0;
+    }
+    const norm = 1 / Math.sqrt(qx * qx + qy * qy + qz * qz + qw * qw);
+    qx *= norm;
+    qy *= norm;
+    qz *= norm;
+    qw *= norm;
+
+    const x2 = qx + qx, y2 = qy + qy, z2 = qz + qz;
+    const xx = qx * x2, xy = qx * y2, xz = qx * z2;
+    const yy = qy * y2, yz = qy * z2, zz = qz * z2;
+    const wx = qw * x2, wy = qw * y2, wz = qw * z2;
+
+    const mx = (start.x + end.x) / 2;
+    const my = (start.y + end.y) / 2;
+    const mz = (start.z + end.z) / 2;
+
+    const m = i * MATRIX_FLOATS;
+    matrices[m] = (1 - (yy + zz)) * radius;
+    matrices[m + 1] = (xy + wz) * radius;
+    matrices[m + 2] = (xz - wy) * radius;
+    matrices[m + 3] = 0;
+    matrices[m + 4] = (xy - wz) * length;
+    matrices[m + 5] = (1 - (xx + zz)) * length;
+    matrices[m + 6] = (yz + wx) * length;
+    matrices[m + 7] = 0;
+    matrices[m + 8] = (xz + wy) * radius;
+    matrices[m + 9] = (yz - wx) * radius;
+    matrices[m + 10] = (1 - (xx + yy)) * radius;
+    matrices[m + 11] = 0;
+    matrices[m + 12] = mx;
+    matrices[m + 13] = my;
+    matrices[m + 14] = mz;
+    matrices[m + 15] = 1;
+
+    const b = i * BOUNDS_FLOATS;
+    bounds[b] = mx;
+    bounds[b + 1] = my;
+    bounds[b + 2] = mz;
+    bounds[b + 3] = length;
+    bounds[b + 4] = depth;
+}
@@ -0,0 +1,52 @@
+import { FractalModel } from './fractal-model.js';
+import { FramePool, packFrame, frameTransferables } from './frame-packing.js';
+
+/**
+ * Frame generation worker
+ *
+ * Keeps a mirror FractalModel and, for each message `{ version, setup,
+ * state }`, restores the main thread's saved state, builds the frame and
+ * posts it back packed, with its buffers transferred. `setup` (config,
+ * sources and detail; see frameSetup in frame-generator.js) is only sent
+ * when it changed. `{ release }` messages bring the buffers of frames the
+ * renderer is done with back for packing the next ones. Started by
+ * WorkerFrameGenerator.
+ */
+
+const model = new FractalModel();
+const pool = new FramePool();
+let recipes = [];
+
+// History recipes arrive as fresh copies; reusing the previous objects
+// for unchanged ones lets the model's history cache (keyed by recipe)
+// carry over between frames
+function sameRecipe(a, b) {
+    return a.n === b.n && a.t === b.t && a.decay === b.decay
+        && a.energies.length === b.energies.length
+        && a.energies.every(({ id, energy }, i) => b.energies[i].id === id && b.energies[i].energy === energy);
+}
+
+self.addEventListener('message', ({ data }) => {
+    if (data.release) {
+        pool.release(data.release);
+        return;
+    }
+
+    const { version, setup, state } = data;
+
+    if (setup) {
+        model.setConfig(setup.config);
+        model.setSources(setup.sources);
+        model.setDetail(setup.detail);
+        recipes = [];
+    }
+
+    state.historyRecipes = state.historyRecipes.map(recipe => recipes.find(known => sameRecipe(known, recipe)) || recipe);
+    recipes = state.historyRecipes;
+
+    model.restoreState(state);
+    model.buildFrame();
+
+    const frame = packFrame(model.getState(), pool);
+    self.postMessage({ version, frame }, frameTransferables(frame));
+});
@@ -0,0 +1,56 @@
+import { SNAPSHOT_VERSION, serializableConfig } from './snapshot.js';
+import { resolveConfig } from './config.js';
+
+/**
+ * Built-in snapshot presets. Each starts from t = 0 with the base r and its
+ * matching I_max = r^4, the primary source alone and every other key at
+ * its default, so a preset looks the same whatever was loaded before.
+ */
+
+// The full config for a preset's own settings
+function presetConfig(settings) {
+    return serializableConfig(resolveConfig(settings));
+}
+
+export const PRESETS = [
+    {
+        id: 'r3',
+        name: 'r = 3, I_max = 81',
+        snapshot: {
+            version: SNAPSHOT_VERSION,
+            config: presetConfig({ r: 3, I_max: 81, E_cap: 13 }),
+            t: 0,
+            camera: { position: { x: 30, y: 20, z: 50 }, target: { x: 0, y: 0, z: 0 } }
+        }
+    },
+    {
+        id: 'r4',
+        name: 'r = 4, I_max = 256',
+        snapshot: {
+            version: SNAPSHOT_VERSION,
+            config: presetConfig({ r: 4, I_max: 256, E_cap: 20 }),
+            t: 0,
+            camera: { position: { x: 60, y: 40, z: 120 }, target: { x: 0, y: 0, z: 0 } }
+        }
+    },
+    {
+        id: 'r2',
+        name: 'r = 2, I_max = 16',
+        snapshot: {
+            version: SNAPSHOT_VERSION,
+            config: presetConfig({ r: 2, I_max: 16, E_cap: 5 }),
+            t: 0,
+            camera: { position: { x: 15, y: 10, z: 25 }, target: { x: 0, y: 0, z: 0 } }
+        }
+    }
+];
+
+export function getPreset(id) {
+    const preset = PRESETS.find(p => p.id === id);
+
+    if (!preset) {
+        throw new Error(`Unknown preset: ${id}`);
+    }
+
+    return preset;
+}
@@ -0,0 +1,138 @@
+/**
+ * Quality levels and adaptive level of detail
+ *
+ * A level caps what the model generates (`maxDepth`, `maxPlaneSegments`,
+ * `maxHistory`, see FractalModel#setDetail) and how the renderer draws it
+ * (`radialSegments` of the branch wires, `minScreenSize` in pixels below
+ * which sub-branches are culled).
+ *
+ * With `config.quality` 'auto' the QualityManager moves between levels
+ * from per-frame samples against the budget in the config: `targetFPS`,
+ * `maxSegments` and `maxDrawCalls`. Any other value pins that level.
+ */
+
+export const QUALITY_LEVELS = [
+    { name: 'high', maxDepth: Infinity, maxPlaneSegments: Infinity, maxHistory: Infinity, radialSegments: 8, minScreenSize: 0 },
+    { name: 'medium', maxDepth: 3, maxPlaneSegments: 32, maxHistory: 16, radialSegments: 6, minScreenSize: 1 },
+    { name: 'low', maxDepth: 2, maxPlaneSegments: 16, maxHistory: 8, radialSegments: 4, minScreenSize: 2 },
+    { name: 'minimal', maxDepth: 1, maxPlaneSegments: 8, maxHistory: 2, radialSegments: 3, minScreenSize: 4 }
+];
+
+export const QUALITY_MODES = ['auto', ...QUALITY_LEVELS.map(level => level.name)];
+
+// Frames to wait after a change before judging again, so the averages
+// reflect the new level; raising waits longer to avoid flip-flopping
+const SETTLE_FRAMES = 30;
+const RAISE_FRAMES = 180;
+
+// Smoothing of the frame time averages
+const SMOOTHING = 0.1;
+
+// Intervals longer than this (ms) are stalls or background tabs, not load
+const MAX_SAMPLE_INTERVAL = 250;
+
+export class QualityManager {
+    constructor(config) {
+        this.config = config;
+        this.level = 0;
+        this.reset();
+        this.sync();
+    }
+
+    /**
+     * Forget the frame time averages.
+     */
+    reset() {
+        this.interval = null; // Average ms between frames
+        this.work = null; // Average ms spent updating and rendering
+        this.segments = 0;
+        this.drawCalls = 0;
+        this.settle = SETTLE_FRAMES;
+        this.raiseDelay = RAISE_FRAMES;
+    }
+
+    get auto() {
+        return this.config.quality === 'auto';
+    }
+
+    get current() {
+        return QUALITY_LEVELS[this.level];
+    }
+
+    /**
+     * Follow a pinned `config.quality`. Returns true if the level changed.
+     */
+    sync() {
+        if (this.auto) return false;
+
+        const level = QUALITY_LEVELS.findIndex(({ name }) => name === this.config.quality);
+        return this.setLevel(level);
+    }
+
+    setLevel(level) {
+        if (level === this.level) return false;
+
+        this.level = level;
+        this.settle = SETTLE_FRAMES;
+        this.raiseDelay = RAISE_FRAMES;
+        return true;
+    }
+
+    /**
+     * Record one frame: `interval` ms since the previous one, `work` ms of
+     * update and render, and what was drawn. In auto mode, returns true
+     * when the level changed.
+     */
+    sample(interval, work, { segments = 0, drawCalls = 0 } = {}) {
+        if (interval > MAX_SAMPLE_INTERVAL) return false;
+
+        const smooth = (average, value) => (average === null ? value : average + (value - average) * SMOOTHING);
+        this.interval = smooth(this.interval, interval);
+        this.work = smooth(this.work, work);
+        this.segments = segments;
+        this.drawCalls = drawCalls;
+
+        if (!this.auto) return false;
+        if (this.raiseDelay > 0) this.raiseDelay--;
+        if (this.settle > 0) {
+            this.settle--;
+            return false;
+        }
+
+        const { targetFPS, maxSegments, maxDrawCalls } = this.config;
+        const budget = 1000 / targetFPS;
+        const overBudget = this.interval > budget * 1.2 || this.work > budget
+            || segments > maxSegments || drawCalls > maxDrawCalls;
+
+        // The frame interval bottoms out at the display's refresh rate, so
+        // spare capacity shows in the work time instead
+        const underBudget = this.interval <= budget * 1.05 && this.work < budget * 0.5
+            && segments < maxSegments / 2 && drawCalls < maxDrawCalls / 2;
+
+        if (overBudget && this.level < QUALITY_LEVELS.length - 1) {
+            this.setLevel(this.level + 1);
+            return true;
+        }
+        if (underBudget && this.level > 0 && this.raiseDelay === 0) {
+            this.setLevel(this.level - 1);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Plain-data report for UIs and the engine's getQuality().
+     */
+    describe() {
+        return {
+            mode: this.config.quality,
+            level: this.level,
+            name: this.current.name,
+            fps: this.interval ? 1000 / this.interval : null,
+            frameTime: this.work,
+            segments: this.segments,
+            drawCalls: this.drawCalls
+        };
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * Seeded pseudo-random numbers
+ *
+ * Randomness in the model is keyed rather than streamed: each consumer
+ * hashes the seed with what identifies it (step n, branch path, ...) and
+ * draws from its own generator. The same key always yields the same
+ * numbers, however the frame was reached (playing, seeking, replaying a
+ * snapshot) and however many other draws happened before.
+ */
+
+/**
+ * Mix integers into a 32-bit unsigned seed.
+ */
+export function hashSeed(...values) {
+    let h = 0x9e3779b9;
+
+    values.forEach(value => {
+        h = Math.imul(h ^ (value | 0), 0x85ebca6b);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xc2b2ae35);
+        h ^= h >>> 16;
+    });
+
+    return h >>> 0;
+}
+
+/**
+ * mulberry32 generator: a function returning floats in [0, 1).
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+
+    return () => {
+        a = (a + 0x6d2b79f5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
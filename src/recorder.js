@@ -0,0 +1,104 @@
+/**
+ * Metrics recorder
+ *
+ * Per-step samples of the numbers behind the visuals, kept in a ring
+ * buffer (one Float64Array per column) so a long recording keeps the most
+ * recent `capacity` steps without allocating per sample. Missing values
+ * (e.g. the frame time before the first frame) are NaN, written as empty
+ * CSV cells and JSON nulls.
+ */
+
+export const METRIC_COLUMNS = [
+    't', // Time after the step
+    'n', // Step n = floor(t * 3)
+    'interval',
+    'energy', // Primary source energy
+    'energyDirection',
+    'I', // Wave plane intensity r^n * |sin(6πn)|
+    'mainBranches', // Over all sources
+    'maxDepth', // Deepest branch level generated
+    'branches', // Total segments (current step, full detail)
+    'recycles', // Sources that recycled E_cap surplus in this step
+    'frameTime' // Update and render time (ms) of the last frame
+];
+
+export const DEFAULT_RECORDING_CAPACITY = 10000;
+
+export class MetricsRecorder {
+    constructor() {
+        this.recording = false;
+        this.allocate(DEFAULT_RECORDING_CAPACITY);
+    }
+
+    allocate(capacity) {
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new Error(`Recording capacity must be a positive integer (got ${capacity})`);
+        }
+
+        this.capacity = capacity;
+        this.columns = Object.fromEntries(METRIC_COLUMNS.map(name => [name, new Float64Array(capacity)]));
+        this.clear();
+    }
+
+    /**
+     * Start a new recording, dropping the previous samples.
+     */
+    start({ capacity = this.capacity } = {}) {
+        if (capacity !== this.capacity) {
+            this.allocate(capacity);
+        } else {
+            this.clear();
+        }
+        this.recording = true;
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    clear() {
+        this.head = 0; // Next slot to write
+        this.length = 0;
+    }
+
+    /**
+     * Append a sample `{ t, n, ... }` (see METRIC_COLUMNS) while
+     * recording, overwriting the oldest once full.
+     */
+    record(sample) {
+        if (!this.recording) return;
+
+        METRIC_COLUMNS.forEach(name => {
+            const value = sample[name];
+            this.columns[name][this.head] = typeof value === 'number' ? value : NaN;
+        });
+
+        this.head = (this.head + 1) % this.capacity;
+        this.length = Math.min(this.length + 1, this.capacity);
+    }
+
+    /**
+     * Recorded samples, oldest first, as plain objects.
+     */
+    samples() {
+        const start = (this.head - this.length + this.capacity) % this.capacity;
+
+        return Array.from({ length: this.length }, (_, i) => {
+            const index = (start + i) % this.capacity;
+            return Object.fromEntries(METRIC_COLUMNS.map(name => {
+                const value = this.columns[name][index];
+                return [name, Number.isNaN(value) ? null : value];
+            }));
+        });
+    }
+
+    toCSV() {
+        const rows = this.samples().map(sample => METRIC_COLUMNS.map(name => (sample[name] === null ? '' : sample[name])).join(','));
+        return [METRIC_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    // JSON.stringify(recorder) gives the samples array
+    toJSON() {
+        return this.samples();
+    }
+}
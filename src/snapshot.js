@@ -0,0 +1,107 @@
+/**
+ * Shareable snapshots: config, time, energy and camera as plain JSON,
+ * round-tripped through files and the URL hash (`#snapshot=<base64url>`).
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+const HASH_KEY = 'snapshot';
+
+/**
+ * Config without values that cannot survive JSON (e.g. a function
+ * energy profile).
+ */
+export function serializableConfig(config) {
+    const result = {};
+
+    Object.entries(config).forEach(([key, value]) => {
+        if (typeof value !== 'function') {
+            result[key] = JSON.parse(JSON.stringify(value));
+        }
+    });
+
+    return result;
+}
+
+// Snapshots without a sources list have just the primary at the origin
+export const DEFAULT_SOURCES = [{ position: { x: 0, y: 0, z: 0 }, phase: 0, weight: 1 }];
+
+/**
+ * Energy sources as JSON: `{ id, position, phase, weight, profile,
+ * energy, energyDirection }`. A function profile cannot be saved and
+ * falls back to the config's.
+ */
+export function serializableSources(sources) {
+    return sources.map(({ id, position, phase, weight, profile, energy, energyDirection }) => ({
+        id,
+        position: { ...position },
+        phase,
+        weight,
+        profile: typeof profile === 'function' ? null : JSON.parse(JSON.stringify(profile)),
+        energy,
+        energyDirection
+    }));
+}
+
+/**
+ * Check a parsed snapshot and return it, throwing on anything malformed.
+ */
+export function validateSnapshot(snapshot) {
+    const isVector = v => v && ['x', 'y', 'z'].every(k => Number.isFinite(v[k]));
+
+    if (!snapshot || typeof snapshot !== 'object') {
+        throw new Error('Invalid snapshot: not an object');
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+    if (!snapshot.config || typeof snapshot.config !== 'object') {
+        throw new Error('Invalid snapshot: missing config');
+    }
+    ['t', 'energy', 'energyDirection'].forEach(key => {
+        if (snapshot[key] !== undefined && !Number.isFinite(snapshot[key])) {
+            throw new Error(`Invalid snapshot: ${key} must be a number`);
+        }
+    });
+    if (snapshot.sources !== undefined && !(Array.isArray(snapshot.sources) && snapshot.sources.every(source => source && isVector(source.position) && (source.energy === undefined || Number.isFinite(source.energy))))) {
+        throw new Error('Invalid snapshot: sources must be a list with position vectors');
+    }
+    if (snapshot.camera && !(isVector(snapshot.camera.position) && isVector(snapshot.camera.target))) {
+        throw new Error('Invalid snapshot: camera needs position and target vectors');
+    }
+
+    return snapshot;
+}
+
+export function encodeSnapshot(snapshot) {
+    const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+
+    // base64url: safe in a URL hash without escaping
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeSnapshot(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+
+    return validateSnapshot(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+export function snapshotToHash(snapshot) {
+    return `#${HASH_KEY}=${encodeSnapshot(snapshot)}`;
+}
+
+/**
+ * Snapshot from a location hash, or null when it carries none.
+ */
+export function snapshotFromHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+
+    return encoded ? decodeSnapshot(encoded) : null;
+}
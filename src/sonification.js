@@ -0,0 +1,347 @@
+import { createRandom } from './random.js';
+
+/**
+ * Sonification
+ *
+ * Sound from the model's own dynamics, one reading per simulation step:
+ * - the energy sets the pitch of the chord root (up `pitchRange` octaves
+ *   from `baseFrequency` at I_max) and the loudness
+ * - every main branch (see FractalModel#mainBranchLayout) is a sine
+ *   partial on a tone of the current chord, as loud as its share of the
+ *   branch energy and panned by its direction
+ * - recycling (the `recycle` milestone, the engine's `recycle` event)
+ *   strikes a percussive hit as it starts; it lasts many steps at a time
+ * - energy peaks and troughs move on to the next chord of `chords`
+ *
+ * Only forward steps sound: seeking, scrubbing and reverse playback
+ * fade the voices out (see Sonifier#seeked).
+ *
+ * SonificationScore turns model steps into synth parameters with no Web
+ * Audio; Synth plays them on any (Offline)AudioContext, so Sonifier
+ * (live) and renderSonification (to an AudioBuffer) sound the same.
+ */
+
+export const DEFAULT_SONIFICATION_OPTIONS = {
+    volume: 0.5,
+    muted: false,
+    baseFrequency: 110, // Hz of the chord root at zero energy
+    pitchRange: 1, // Octaves the root rises from zero energy to I_max
+    // Semitones above the root: I, vi, IV and V
+    chords: [[0, 4, 7], [-3, 0, 4], [-7, -3, 0], [-5, -1, 2]],
+    maxPartials: 12, // The most energetic main branches sound
+    glide: 0.05, // Seconds for pitch, level and pan to follow a step
+    hitDecay: 0.3 // Seconds a percussive hit rings
+};
+
+/**
+ * Check sonification options and fill in the defaults. Throws on anything
+ * malformed.
+ */
+export function resolveSonificationOptions(options = {}) {
+    const resolved = { ...DEFAULT_SONIFICATION_OPTIONS, ...options };
+    const { volume, muted, baseFrequency, pitchRange, chords, maxPartials, glide, hitDecay } = resolved;
+
+    if (!(volume >= 0 && volume <= 1)) throw new Error(`Sound volume must be between 0 and 1 (got ${volume})`);
+    if (typeof muted !== 'boolean') throw new Error(`Sound muted must be true or false (got ${muted})`);
+    if (!(baseFrequency > 0)) throw new Error(`Sound base frequency must be greater than 0 (got ${baseFrequency})`);
+    if (!(pitchRange >= 0)) throw new Error(`Sound pitch range must be at least 0 (got ${pitchRange})`);
+    if (!Array.isArray(chords) || chords.length === 0
+        || !chords.every(chord => Array.isArray(chord) && chord.length > 0 && chord.every(Number.isFinite))) {
+        throw new Error('Sound chords must be a list of semitone lists');
+    }
+    if (!Number.isInteger(maxPartials) || maxPartials < 1 || maxPartials > 64) {
+        throw new Error(`Sound maxPartials must be an integer from 1 to 64 (got ${maxPartials})`);
+    }
+    if (!(glide >= 0)) throw new Error(`Sound glide must be at least 0 (got ${glide})`);
+    if (!(hitDecay > 0)) throw new Error(`Sound hit decay must be greater than 0 (got ${hitDecay})`);
+
+    return resolved;
+}
+
+/**
+ * Synth parameters from model steps. Keeps the current chord and whether
+ * the last step recycled, so read it once per simulation step, in order.
+ */
+export class SonificationScore {
+    constructor(options) {
+        this.options = options;
+        this.reset();
+    }
+
+    /**
+     * Start over on the first chord, from `model`'s last step when given
+     * (so recycling already under way strikes no hit).
+     */
+    reset(model = null) {
+        this.chord = 0;
+        this.recycling = model ? model.milestones.recycle : false;
+    }
+
+    /**
+     * Parameters for the step the model just took: `{ t, n, root,
+     * amplitude, partials: [{ frequency, gain, pan }], hit, chord,
+     * chordChanged }`, with `hit` the velocity (0 for none) of a
+     * percussive hit.
+     */
+    read(model) {
+        const { baseFrequency, pitchRange, chords, maxPartials } = this.options;
+        const { n, milestones } = model;
+        const level = Math.min(1, Math.max(0, model.energy / model.config.I_max));
+
+        const chordChanged = milestones.energyPeak || milestones.energyTrough;
+        if (chordChanged) this.chord = (this.chord + 1) % chords.length;
+        const chord = chords[this.chord];
+
+        // Branch i of a source sounds chord tone i, an octave up per
+        // round through the chord
+        const root = baseFrequency * Math.pow(2, pitchRange * level);
+        const branches = model.sources
+            .flatMap(source => model.mainBranchLayout(n, source).map(({ index, angle, energy }) => ({
+                frequency: root * Math.pow(2, (chord[index % chord.length] + 12 * Math.floor(index / chord.length)) / 12),
+                energy,
+                pan: Math.cos(angle)
+            })))
+            .sort((a, b) => b.energy - a.energy)
+            .slice(0, maxPartials);
+
+        // Sine partials never sum above the amplitude
+        const amplitude = Math.sqrt(level);
+        const totalEnergy = branches.reduce((sum, { energy }) => sum + energy, 0);
+        const partials = branches.map(({ frequency, energy, pan }) => ({
+            frequency,
+            gain: totalEnergy > 0 ? amplitude * energy / totalEnergy : 0,
+            pan
+        }));
+
+        const hit = milestones.recycle && !this.recycling ? 0.3 + 0.7 * level : 0;
+        this.recycling = milestones.recycle;
+
+        return { t: model.frameT, n, root, amplitude, partials, hit, chord: this.chord, chordChanged };
+    }
+}
+
+/**
+ * A bank of sine partials and a percussive voice on a (Offline)
+ * AudioContext, playing into `destination`.
+ */
+export class Synth {
+    constructor(context, destination, { maxPartials, glide, hitDecay }) {
+        this.context = context;
+        this.glide = glide;
+        this.hitDecay = hitDecay;
+
+        this.output = context.createGain();
+        this.output.connect(destination);
+
+        this.voices = Array.from({ length: maxPartials }, () => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            const panner = context.createStereoPanner();
+
+            gain.gain.value = 0;
+            oscillator.connect(gain).connect(panner).connect(this.output);
+            oscillator.start();
+            return { oscillator, gain, panner };
+        });
+
+        // White noise for hits, shared by all of them and seeded so
+        // renders come out the same every time
+        this.noise = context.createBuffer(1, Math.ceil(context.sampleRate * hitDecay), context.sampleRate);
+        const samples = this.noise.getChannelData(0);
+        const random = createRandom(1);
+        for (let i = 0; i < samples.length; i++) samples[i] = random() * 2 - 1;
+    }
+
+    // setTargetAtTime gets ~95% of the way in three time constants
+    get timeConstant() {
+        return Math.max(this.glide / 3, 0.001);
+    }
+
+    /**
+     * Move to a step's parameters (see SonificationScore#read) at `time`.
+     */
+    play({ partials, hit }, time) {
+        const timeConstant = this.timeConstant;
+
+        this.voices.forEach(({ oscillator, gain, panner }, i) => {
+            const partial = partials[i];
+            gain.gain.setTargetAtTime(partial ? partial.gain : 0, time, timeConstant);
+            if (partial) {
+                oscillator.frequency.setTargetAtTime(partial.frequency, time, timeConstant);
+                panner.pan.setTargetAtTime(partial.pan, time, timeConstant);
+            }
+        });
+
+        if (hit > 0) this.hit(time, hit);
+    }
+
+    /**
+     * Fade the partials out from `time`.
+     */
+    silence(time) {
+        this.voices.forEach(({ gain }) => gain.gain.setTargetAtTime(0, time, this.timeConstant));
+    }
+
+    /**
+     * A band-passed noise burst over a sine thump dropping in pitch.
+     */
+    hit(time, velocity) {
+        const context = this.context;
+        const end = time + this.hitDecay;
+
+        const noise = context.createBufferSource();
+        noise.buffer = this.noise;
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 2500;
+        filter.Q.value = 0.8;
+        const noiseGain = context.createGain();
+        noiseGain.gain.setValueAtTime(0.3 * velocity, time);
+        noiseGain.gain.exponentialRampToValueAtTime(0.001, time + this.hitDecay / 2);
+        noise.connect(filter).connect(noiseGain).connect(this.output);
+        noise.start(time);
+        noise.stop(end);
+
+        const thump = context.createOscillator();
+        thump.frequency.setValueAtTime(160, time);
+        thump.frequency.exponentialRampToValueAtTime(45, end);
+        const thumpGain = context.createGain();
+        thumpGain.gain.setValueAtTime(0.5 * velocity, time);
+        thumpGain.gain.exponentialRampToValueAtTime(0.001, end);
+        thump.connect(thumpGain).connect(this.output);
+        thump.start(time);
+        thump.stop(end);
+    }
+
+    dispose() {
+        this.voices.forEach(({ oscillator }) => oscillator.stop());
+        this.output.disconnect();
+        this.voices = [];
+    }
+}
+
+/**
+ * Live sonification on a given AudioContext, fed one model step at a
+ * time, behind a master volume.
+ */
+export class Sonifier {
+    constructor(options = {}) {
+        this.options = resolveSonificationOptions(options);
+        this.score = new SonificationScore(this.options);
+        this.context = null;
+        this.master = null;
+        this.synth = null;
+    }
+
+    get active() {
+        return this.synth !== null;
+    }
+
+    get masterGain() {
+        return this.options.muted ? 0 : this.options.volume;
+    }
+
+    /**
+     * Start sounding on `context`, from `model`'s current step.
+     */
+    start(context, model) {
+        if (this.synth) return;
+
+        this.context = context;
+        this.master = context.createGain();
+        this.master.gain.value = this.masterGain;
+        this.master.connect(context.destination);
+        this.synth = new Synth(context, this.master, this.options);
+        this.score.reset(model);
+    }
+
+    stop() {
+        if (!this.synth) return;
+
+        this.synth.dispose();
+        this.master.disconnect();
+        this.synth = null;
+        this.master = null;
+        this.context = null;
+    }
+
+    /**
+     * Change options (see DEFAULT_SONIFICATION_OPTIONS), also while
+     * sounding. Left-out options keep their values.
+     */
+    setOptions(options) {
+        const previous = this.options;
+        this.options = resolveSonificationOptions({ ...previous, ...options });
+        this.score.options = this.options;
+
+        if (!this.synth) return;
+
+        if (this.options.maxPartials !== previous.maxPartials) {
+            this.synth.dispose();
+            this.synth = new Synth(this.context, this.master, this.options);
+        } else {
+            this.synth.glide = this.options.glide;
+            this.synth.hitDecay = this.options.hitDecay;
+        }
+        this.master.gain.setTargetAtTime(this.masterGain, this.context.currentTime, 0.02);
+    }
+
+    /**
+     * Sound the step `model` just took; returns its parameters, or null
+     * while stopped.
+     */
+    step(model) {
+        if (!this.synth) return null;
+
+        const params = this.score.read(model);
+        this.synth.play(params, this.context.currentTime);
+        return params;
+    }
+
+    silence() {
+        if (this.synth) this.synth.silence(this.context.currentTime);
+    }
+
+    /**
+     * The model jumped instead of stepping (seeking, scrubbing, reverse
+     * playback): fade out, and start the score over from `model` at the
+     * next forward step. Sound only ever follows forward steps.
+     */
+    seeked(model) {
+        if (!this.synth) return;
+
+        this.synth.silence(this.context.currentTime);
+        this.score.reset(model);
+    }
+}
+
+/**
+ * Render `steps` simulation steps of `dt` from `model`'s current state
+ * (advancing it, without geometry) into a stereo AudioBuffer, one step
+ * every 1 / `stepsPerSecond` seconds as when playing live at rate 1. The
+ * volume applies, muting does not.
+ */
+export async function renderSonification(model, { steps, dt, stepsPerSecond, sampleRate = 44100, ...options }) {
+    const resolved = resolveSonificationOptions(options);
+    const OfflineContextClass = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+    if (!OfflineContextClass) {
+        throw new Error('Offline audio rendering is not supported here');
+    }
+
+    const duration = steps / stepsPerSecond;
+    const context = new OfflineContextClass(2, Math.max(1, Math.ceil(duration * sampleRate)), sampleRate);
+    const master = context.createGain();
+    master.gain.value = resolved.volume;
+    master.connect(context.destination);
+
+    const synth = new Synth(context, master, resolved);
+    const score = new SonificationScore(resolved);
+    score.reset(model);
+
+    for (let i = 0; i < steps; i++) {
+        model.advance(dt);
+        synth.play(score.read(model), i / stepsPerSecond);
+    }
+
+    return context.startRendering();
+}
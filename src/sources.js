@@ -0,0 +1,75 @@
+import { createEnergyProfile } from './energy-profiles.js';
+
+/**
+ * Energy source parameters
+ *
+ * A source is `{ id, position, phase, weight, profile }`:
+ * - `position`: where its branches radiate from and its rays disperse
+ * - `phase`: offset (radians) of its wave on the planes
+ * - `weight`: scales its branch energy and wave amplitude
+ * - `profile`: its own energy profile, or null to follow
+ *   `config.energyProfile`
+ *
+ * Source 0 is the primary source that always exists; its profile is the
+ * config's `energyProfile`.
+ */
+
+export const PRIMARY_SOURCE_ID = 0;
+
+const SOURCE_KEYS = ['position', 'phase', 'weight', 'profile'];
+
+/**
+ * Check a partial `{ position, phase, weight, profile }` and return a
+ * copy. Throws on unknown keys or invalid values.
+ */
+export function validateSourceChanges(changes) {
+    const result = {};
+
+    Object.entries(changes).forEach(([key, value]) => {
+        if (!SOURCE_KEYS.includes(key)) {
+            throw new Error(`Unknown energy source key: ${key}`);
+        }
+
+        switch (key) {
+        case 'position':
+            if (!value || !['x', 'y', 'z'].every(k => Number.isFinite(value[k]))) {
+                throw new Error('Energy source position must be an { x, y, z } vector');
+            }
+            result.position = { x: value.x, y: value.y, z: value.z };
+            break;
+        case 'phase':
+            if (!Number.isFinite(value)) {
+                throw new Error(`Energy source phase must be a finite number (got ${value})`);
+            }
+            result.phase = value;
+            break;
+        case 'weight':
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Energy source weight must be at least 0 (got ${value})`);
+            }
+            result.weight = value;
+            break;
+        case 'profile':
+            if (value !== null) createEnergyProfile(value);
+            result.profile = value;
+            break;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Plain-data view of a source and its current energy.
+ */
+export function describeSource({ id, position, phase, weight, profile, system }) {
+    return {
+        id,
+        position: { ...position },
+        phase,
+        weight,
+        profile,
+        energy: system.energy,
+        energyDirection: system.energyDirection
+    };
+}
@@ -0,0 +1,377 @@
+/**
+ * Control bar and info panel markup for a self-contained engine UI.
+ *
+ * The one copy of the engine's controls (data-fte names, wired up by the
+ * engine), rendered by the <fractal-time-engine> shadow root, which is
+ * also how index.html gets them. Styles are written for a shadow root:
+ * `:host` is the positioned box the overlay sits in.
+ */
+
+export const UI_STYLES = `
+    :host {
+        display: block;
+        position: relative;
+        width: 100%;
+        height: 400px;
+        background: #000;
+        overflow: hidden;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    * {
+        margin: 0;
+        padding: 0;
+        box-sizing: border-box;
+    }
+
+    .container {
+        width: 100%;
+        height: 100%;
+    }
+
+    .container:focus {
+        outline: none;
+    }
+
+    canvas {
+        display: block;
+    }
+
+    .controls {
+        position: absolute;
+        top: 20px;
+        left: 20px;
+        z-index: 100;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+    }
+
+    .control-group {
+        display: flex;
+        gap: 10px;
+        flex-wrap: wrap;
+    }
+
+    button, .file-button {
+        padding: 10px 20px;
+        background: rgba(0, 255, 255, 0.2);
+        border: 1px solid #00ffff;
+        color: #00ffff;
+        cursor: pointer;
+        font-size: 14px;
+        border-radius: 4px;
+        transition: all 0.3s;
+    }
+
+    button:hover, .file-button:hover {
+        background: rgba(0, 255, 255, 0.4);
+        transform: translateY(-2px);
+    }
+
+    button:active {
+        transform: translateY(0);
+    }
+
+    select {
+        padding: 10px;
+        background: rgba(0, 0, 0, 0.6);
+        border: 1px solid #00ffff;
+        color: #00ffff;
+        font-size: 14px;
+        border-radius: 4px;
+    }
+
+    button.active {
+        background: rgba(0, 255, 255, 0.6);
+        box-shadow: 0 0 10px #00ffff;
+    }
+
+    .timeline {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        color: #00ffff;
+        font-size: 12px;
+    }
+
+    .timeline input[type="range"] {
+        width: 240px;
+        accent-color: #00ffff;
+    }
+
+    .audio {
+        align-items: center;
+        color: #00ffff;
+        font-size: 12px;
+    }
+
+    .audio input[type="range"] {
+        width: 100px;
+        accent-color: #00ffff;
+    }
+
+    .config-panel {
+        grid-template-columns: 1fr;
+        gap: 4px;
+        max-width: 420px;
+        padding: 10px;
+        background: rgba(0, 0, 0, 0.6);
+        border: 1px solid rgba(0, 255, 255, 0.3);
+        border-radius: 4px;
+        color: #00ffff;
+        font-size: 12px;
+    }
+
+    .config-row {
+        display: grid;
+        grid-template-columns: 100px 1fr 80px;
+        align-items: center;
+        gap: 8px;
+    }
+
+    .config-row input[type="range"] {
+        accent-color: #00ffff;
+    }
+
+    .config-row input[type="number"] {
+        background: rgba(0, 0, 0, 0.6);
+        border: 1px solid #00ffff;
+        color: #00ffff;
+        padding: 2px 4px;
+        border-radius: 4px;
+    }
+
+    .config-row input[aria-invalid="true"] {
+        border-color: #ff4040;
+    }
+
+    .config-error {
+        color: #ff4040;
+        min-height: 1em;
+    }
+
+    .info {
+        position: absolute;
+        bottom: 20px;
+        left: 20px;
+        color: #00ffff;
+        font-size: 12px;
+        background: rgba(0, 0, 0, 0.5);
+        padding: 10px;
+        border-radius: 4px;
+        border: 1px solid rgba(0, 255, 255, 0.3);
+    }
+
+    .info h3 {
+        margin-bottom: 5px;
+        font-size: 14px;
+    }
+
+    .info p {
+        margin: 3px 0;
+        opacity: 0.8;
+    }
+
+    .legend {
+        position: absolute;
+        bottom: 20px;
+        right: 20px;
+        color: #00ffff;
+        font-size: 12px;
+        background: rgba(0, 0, 0, 0.5);
+        padding: 10px;
+        border-radius: 4px;
+        border: 1px solid rgba(0, 255, 255, 0.3);
+    }
+
+    .legend-row + .legend-row {
+        margin-top: 8px;
+    }
+
+    .legend-bar {
+        width: 160px;
+        height: 10px;
+        margin: 4px 0;
+        border-radius: 2px;
+    }
+
+    .legend-labels {
+        display: flex;
+        justify-content: space-between;
+        opacity: 0.8;
+    }
+
+    .tooltip {
+        position: fixed;
+        z-index: 200;
+        pointer-events: none;
+        color: #00ffff;
+        font-size: 12px;
+        background: rgba(0, 0, 0, 0.8);
+        padding: 8px 10px;
+        border-radius: 4px;
+        border: 1px solid rgba(0, 255, 255, 0.5);
+    }
+
+    .tooltip h3 {
+        margin-bottom: 4px;
+        font-size: 13px;
+    }
+
+    .tooltip p {
+        margin: 2px 0;
+        opacity: 0.8;
+    }
+
+    @media (max-width: 768px) {
+        .controls {
+            top: 10px;
+            left: 10px;
+            gap: 5px;
+        }
+
+        button, select, .file-button {
+            padding: 8px 16px;
+            font-size: 12px;
+        }
+
+        .info {
+            bottom: 10px;
+            left: 10px;
+            font-size: 10px;
+        }
+
+        .legend {
+            bottom: 10px;
+            right: 10px;
+            font-size: 10px;
+        }
+    }
+`;
+
+export const CONTROLS_TEMPLATE = `
+    <div class="controls" part="controls">
+        <div class="control-group">
+            <button data-fte="playPause">⏸ Pause</button>
+            <button data-fte="reset">🔄 Reset</button>
+            <button data-fte="wireframe">📐 Wireframe</button>
+            <button data-fte="infoToggle">ℹ️ Info</button>
+            <button data-fte="configToggle">⚙️ Params</button>
+        </div>
+        <div class="control-group" style="margin-top: 10px;">
+            <button data-fte="zoomIn">🔍+ Zoom In</button>
+            <button data-fte="zoomOut">🔍- Zoom Out</button>
+        </div>
+        <div class="control-group">
+            <select data-fte="cameraMode" aria-label="Camera mode">
+                <option value="free">🎥 Free</option>
+                <option value="keyframes">Keyframes</option>
+                <option value="orbit">Orbit</option>
+                <option value="follow">Follow Plane</option>
+            </select>
+            <button data-fte="addKeyframe">📷 Keyframe</button>
+            <button data-fte="saveCameraTrack">⬇ Track</button>
+            <label class="file-button">⬆ Track<input type="file" data-fte="loadCameraTrack" accept="application/json,.json" hidden></label>
+        </div>
+        <div class="control-group">
+            <select data-fte="exportFormat" aria-label="Export format">
+                <option value="gltf">glTF</option>
+                <option value="obj">OBJ</option>
+                <option value="stl">STL</option>
+            </select>
+            <button data-fte="export">💾 Export</button>
+            <select data-fte="svgView" aria-label="SVG view">
+                <option value="camera">Camera</option>
+                <option value="top">Top</option>
+                <option value="front">Front</option>
+                <option value="side">Side</option>
+            </select>
+            <button data-fte="exportSvg">🖋 SVG</button>
+        </div>
+        <div class="control-group">
+            <button data-fte="record">⏺ Record</button>
+            <select data-fte="recordingFormat" aria-label="Metrics format">
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+            </select>
+            <button data-fte="exportRecording">📈 Metrics</button>
+        </div>
+        <div class="control-group">
+            <select data-fte="branchColor" aria-label="Branch color">
+                <option value="none">🎨 Branches: White</option>
+                <option value="depth">Branches: Depth</option>
+                <option value="energy">Branches: Energy</option>
+                <option value="phase">Branches: Time Phase</option>
+            </select>
+            <select data-fte="planeColor" aria-label="Plane color">
+                <option value="none">Planes: White</option>
+                <option value="I">Planes: Intensity I</option>
+                <option value="w">Planes: Displacement w</option>
+                <option value="phase">Planes: Time Phase</option>
+            </select>
+            <select data-fte="palette" aria-label="Palette">
+                <option value="viridis">Viridis</option>
+                <option value="magma">Magma</option>
+                <option value="spectral">Spectral</option>
+                <option value="monochrome">Monochrome</option>
+            </select>
+            <button data-fte="legendToggle">📊 Legend</button>
+        </div>
+        <div class="control-group audio">
+            <button data-fte="audioToggle">🎤 Mic</button>
+            <label class="file-button">🎵 Audio<input type="file" data-fte="loadAudio" accept="audio/*" hidden></label>
+            <label>Sensitivity <input type="range" data-fte="audioSensitivity" min="0" max="4" step="0.1" value="1"></label>
+        </div>
+        <div class="control-group audio">
+            <button data-fte="soundToggle">🎶 Sound</button>
+            <button data-fte="soundMute">🔇 Mute</button>
+            <label>Volume <input type="range" data-fte="soundVolume" min="0" max="1" step="0.05" value="0.5"></label>
+            <button data-fte="exportWAV">⬇ WAV</button>
+        </div>
+        <div class="control-group">
+            <select data-fte="preset" aria-label="Preset">
+                <option value="">Presets…</option>
+            </select>
+            <button data-fte="reseed">🎲 Reseed</button>
+            <button data-fte="placeSource">✨ Place Source</button>
+            <button data-fte="share">🔗 Share</button>
+            <button data-fte="saveSnapshot">⬇ JSON</button>
+            <label class="file-button">⬆ JSON<input type="file" data-fte="loadSnapshot" accept="application/json,.json" hidden></label>
+        </div>
+        <div class="control-group">
+            <button data-fte="stepBack">⏮ Step</button>
+            <button data-fte="reverse">⏪ Reverse</button>
+            <button data-fte="stepForward">Step ⏭</button>
+        </div>
+        <div data-fte="configPanel" class="config-panel" style="display: none;"></div>
+        <div class="control-group timeline">
+            <input type="range" data-fte="timeline" min="0" max="10" step="0.01" value="0">
+            <span>t = <span data-fte="timelineTime">0.00</span></span>
+        </div>
+    </div>
+
+    <div data-fte="info" class="info" part="info" style="display: none;">
+        <h3>Fractal Time Dynamics Engine</h3>
+        <p><strong>I_max:</strong> <span data-fte="iMax">81</span></p>
+        <p><strong>E_cap:</strong> <span data-fte="eCap">13</span></p>
+        <p><strong>Current I:</strong> <span data-fte="currentI">0</span></p>
+        <p><strong>Time (t):</strong> <span data-fte="time">0</span></p>
+        <p><strong>Planes:</strong> <span data-fte="planeCount">0</span></p>
+        <p><strong>Lasers:</strong> <span data-fte="laserCount">0</span></p>
+        <p><strong>Fractal Branches:</strong> <span data-fte="branchCount">0</span></p>
+        <p><strong>Energy Sources:</strong> <span data-fte="sourceCount">1</span></p>
+        <p><strong>Quality:</strong> <span data-fte="quality">high (auto)</span></p>
+        <p><strong>Controls:</strong> 3D OrbitControls</p>
+        <p>Mouse: Drag to rotate | Wheel: Zoom | Right-click: Pan | Click: Select branch</p>
+        <p>Keys: +/- to zoom | Arrow keys to rotate | ,/. to step | Esc to deselect</p>
+    </div>
+
+    <div data-fte="legend" class="legend" part="legend" style="display: none;"></div>
+
+    <div data-fte="tooltip" class="tooltip" part="tooltip" style="display: none;"></div>
+`;
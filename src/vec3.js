@@ -0,0 +1,52 @@
+/**
+ * Minimal plain-object vector math for the headless model.
+ *
+ * Vectors are `{ x, y, z }` literals so model output can be serialized,
+ * posted to a worker or consumed by any renderer. Every helper returns a
+ * new object; nothing is mutated in place.
+ */
+
+export function vec3(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+}
+
+export function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+export function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+export function scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+export function length(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+export function normalize(v) {
+    // Same as THREE.Vector3#normalize: a zero vector stays zero
+    return scale(v, 1 / (length(v) || 1));
+}
+
+export function lerp(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+export function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+export function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioAnalyzer, resolveAudioOptions, DEFAULT_AUDIO_OPTIONS } from '../src/audio-input.js';
+
+const SAMPLE_RATE = 48000;
+const BINS = DEFAULT_AUDIO_OPTIONS.fftSize / 2;
+const BIN_WIDTH = SAMPLE_RATE / (BINS * 2);
+
+// Spectrum in dB: `level` (-100 to -30) from `low` to `high` Hz, silence
+// elsewhere
+function spectrum(low = 0, high = 0, level = -30) {
+    return Float32Array.from({ length: BINS }, (_, i) => (i * BIN_WIDTH >= low && i * BIN_WIDTH < high ? level : -100));
+}
+
+function sine(amplitude, length = 2048) {
+    return Float32Array.from({ length }, (_, i) => amplitude * Math.sin(i / 10));
+}
+
+const SILENCE = new Float32Array(2048);
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+test('silence gives no features and neutral modulation', () => {
+    const analyzer = new AudioAnalyzer();
+    const { features, onset } = analyzer.analyze(spectrum(), SILENCE, SAMPLE_RATE, 1 / 60);
+
+    assert.deepEqual(features, { rms: 0, onset: 0, bass: 0, mid: 0, treble: 0 });
+    assert.equal(onset, false);
+    assert.deepEqual(analyzer.modulation(), { energy: 0, phase: 0, branches: 0, r: 0 });
+});
+
+test('bands average their bins and rms follows the waveform', () => {
+    const analyzer = new AudioAnalyzer({ smoothing: 0 });
+    const { features } = analyzer.analyze(spectrum(40, 200), sine(0.5), SAMPLE_RATE, 1 / 60);
+
+    // The bass band spans the bins from 20 Hz up to 250 Hz
+    const from = Math.floor(20 / BIN_WIDTH);
+    const to = Math.ceil(250 / BIN_WIDTH);
+    const lit = spectrum(40, 200).slice(from, to).filter(level => level === -30).length;
+    assertClose(features.bass, lit / (to - from));
+    assert.equal(features.mid, 0);
+    assert.equal(features.treble, 0);
+    assertClose(features.rms, 0.5 / Math.SQRT2, 0.01);
+
+    // Sensitivity scales features before they are clamped to 1
+    analyzer.setOptions({ sensitivity: 10 });
+    assert.equal(analyzer.analyze(spectrum(40, 200), sine(0.5), SAMPLE_RATE, 1 / 60).features.rms, 1);
+});
+
+test('features follow the sound over the smoothing time', () => {
+    const analyzer = new AudioAnalyzer({ smoothing: 0.5 });
+    const { features } = analyzer.analyze(spectrum(), sine(1), SAMPLE_RATE, 0.5);
+    const rms = Math.sqrt(sine(1).reduce((sum, x) => sum + x * x, 0) / 2048);
+
+    assertClose(features.rms, rms * (1 - Math.exp(-1)));
+});
+
+test('a sudden rise in the spectrum is an onset that then fades', () => {
+    const analyzer = new AudioAnalyzer({ onsetRelease: 0.25 });
+    const dt = 1 / 60;
+
+    for (let i = 0; i < 30; i++) {
+        assert.equal(analyzer.analyze(spectrum(), SILENCE, SAMPLE_RATE, dt).onset, false);
+    }
+    const hit = analyzer.analyze(spectrum(20, 2000), SILENCE, SAMPLE_RATE, dt);
+    assert.equal(hit.onset, true);
+    assert.equal(hit.features.onset, 1);
+
+    // A steady sound is no onset
+    const held = analyzer.analyze(spectrum(20, 2000), SILENCE, SAMPLE_RATE, dt);
+    assert.equal(held.onset, false);
+    assertClose(held.features.onset, Math.exp(-dt / 0.25));
+});
+
+test('level buffers are reused between readings', () => {
+    const analyzer = new AudioAnalyzer();
+    const buffers = new Set();
+
+    for (let i = 0; i < 10; i++) {
+        analyzer.analyze(spectrum(0, i * 1000), SILENCE, SAMPLE_RATE, 1 / 60);
+        buffers.add(analyzer.previousLevels);
+    }
+    assert.equal(buffers.size, 2);
+});
+
+test('mappings to the same target add up', () => {
+    const analyzer = new AudioAnalyzer({
+        smoothing: 0,
+        mappings: [
+            { feature: 'bass', target: 'energy', amount: 10 },
+            { feature: 'rms', target: 'energy', amount: 2 },
+            { feature: 'treble', target: 'r', amount: -0.5 }
+        ]
+    });
+    const { features } = analyzer.analyze(spectrum(20, 16000), sine(1), SAMPLE_RATE, 1 / 60);
+    const modulation = analyzer.modulation();
+
+    assertClose(modulation.energy, features.bass * 10 + features.rms * 2);
+    assertClose(modulation.r, features.treble * -0.5);
+    assert.equal(modulation.phase, 0);
+});
+
+test('malformed options are rejected', () => {
+    assert.throws(() => resolveAudioOptions({ bands: { rms: [0, 100] } }), /reserved: rms/);
+    assert.throws(() => resolveAudioOptions({ bands: { low: [100, 50] } }), /low must be \[low, high\]/);
+    assert.throws(() => resolveAudioOptions({ mappings: [{ feature: 'kick', target: 'r', amount: 1 }] }), /Unknown audio feature: kick/);
+    assert.throws(() => resolveAudioOptions({ mappings: [{ feature: 'rms', target: 'zoom', amount: 1 }] }), /Unknown audio target: zoom/);
+    assert.throws(() => resolveAudioOptions({ onsetThreshold: 1 }), /greater than 1/);
+    assert.throws(() => resolveAudioOptions({ fftSize: 1000 }), /power of 2/);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_BRANCHING,
+    registerBranchingRules,
+    getBranchingRuleNames,
+    resolveBranchingRules,
+    branchMaxDepth,
+    fanAngles
+} from '../src/branching.js';
+import { FractalModel } from '../src/fractal-model.js';
+
+test('rule sets resolve by name or as overrides of a base', () => {
+    assert.equal(DEFAULT_BRANCHING, 'classic');
+    ['classic', 'binary', 'spiral'].forEach(name => assert.ok(getBranchingRuleNames().includes(name), name));
+
+    const classic = resolveBranchingRules();
+    assert.deepEqual(classic.splits, [1 / 3, 2 / 3]);
+    assert.equal(classic.fan, 3);
+
+    const wide = resolveBranchingRules({ base: 'binary', fan: 4 });
+    assert.equal(wide.fan, 4);
+    assert.equal(wide.energyDivision, 2);
+});
+
+test('unknown or out-of-range rules are rejected', () => {
+    assert.throws(() => resolveBranchingRules('tree'), /Unknown branching rules: tree/);
+    assert.throws(() => resolveBranchingRules({ leaves: 3 }), /Unknown branching rule: leaves/);
+    assert.throws(() => resolveBranchingRules({ splits: [1.5] }), /splits must be an array/);
+    assert.throws(() => resolveBranchingRules({ fan: 0 }), /fan must be a positive integer/);
+    assert.throws(() => resolveBranchingRules({ fan: 9 }), /18 children per branch \(at most 16\)/);
+    assert.throws(() => resolveBranchingRules({ energyDivision: 0 }), /energyDivision must be greater than 0/);
+    assert.throws(() => resolveBranchingRules({ depthCap: 9 }), /depthCap must be an integer from 0 to 8/);
+    assert.throws(() => resolveBranchingRules({ maxDepth: 3 }), /maxDepth must be null or a function/);
+});
+
+test('the depth limit follows source energy up to the cap', () => {
+    const classic = resolveBranchingRules();
+
+    assert.equal(branchMaxDepth(classic, 4.9), 0);
+    assert.equal(branchMaxDepth(classic, 12), 2);
+    assert.equal(branchMaxDepth(classic, 1000), 4);
+
+    // Custom depth functions are clamped to the recursion limit
+    assert.equal(branchMaxDepth(resolveBranchingRules({ maxDepth: () => 20 }), 1), 8);
+    assert.equal(branchMaxDepth(resolveBranchingRules({ maxDepth: () => NaN }), 1), 0);
+});
+
+test('fans are evenly spaced unless angles are given, and twist with depth', () => {
+    const [a, b, c] = fanAngles(resolveBranchingRules(), 0);
+    assert.equal(a, 0);
+    assert.ok(Math.abs(b - 2 * Math.PI / 3) < 1e-12);
+    assert.ok(Math.abs(c - 4 * Math.PI / 3) < 1e-12);
+
+    assert.deepEqual(fanAngles(resolveBranchingRules({ angles: [0, 1], twist: 0.5 }), 2), [1, 2]);
+});
+
+test('the model grows the tree its rules describe', () => {
+    registerBranchingRules('stem', { splits: [0.5], fan: 1, depthCap: 3, energyPerDepth: 1, minEnergy: 0 });
+
+    const model = new FractalModel({ branching: 'stem' });
+    for (let i = 0; i < 20; i++) model.step();
+
+    // One child per level: a chain of depthCap + 1 segments per main branch
+    const counts = new Map();
+    model.getState().branches.forEach(({ depth }) => counts.set(depth, (counts.get(depth) || 0) + 1));
+    const roots = counts.get(0);
+    assert.ok(roots > 0);
+    assert.deepEqual([...counts.values()], [roots, roots, roots, roots]);
+
+    // Switching rules at runtime changes the structure
+    const before = model.getState().branches.length;
+    model.setConfig({ branching: 'classic' });
+    model.buildFrame();
+    assert.ok(model.getState().branches.length > before);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CameraDirector, EASINGS, CAMERA_TRACK_VERSION, validateCameraTrack } from '../src/camera-director.js';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+function keyframe(t, x, options = {}) {
+    return { t, position: { x, y: 0, z: 10 }, target: ORIGIN, ...options };
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('keyframes interpolate with the easing of the keyframe they leave', () => {
+    const director = new CameraDirector();
+    director.setKeyframes([
+        keyframe(2, 10, { easing: 'easeIn', fov: 30 }),
+        keyframe(0, 0, { easing: 'linear', fov: 50 }),
+        keyframe(4, 20)
+    ]);
+    assert.deepEqual(director.keyframes.map(({ t }) => t), [0, 2, 4]);
+
+    const linear = director.poseAt(0.5);
+    assertClose(linear.position.x, 2.5);
+    assertClose(linear.fov, 45);
+
+    const eased = director.poseAt(3);
+    assertClose(eased.position.x, 10 + 10 * EASINGS.easeIn(0.5));
+    assertClose(eased.fov, 30 + 45 * EASINGS.easeIn(0.5));
+
+    // Held outside the keyframed range, and exact on a keyframe
+    assert.equal(director.poseAt(-1).position.x, 0);
+    assert.equal(director.poseAt(9).position.x, 20);
+    assert.equal(director.poseAt(2).position.x, 10);
+});
+
+test('easings run from 0 to 1', () => {
+    Object.entries(EASINGS).forEach(([name, ease]) => {
+        assertClose(ease(0), 0);
+        assertClose(ease(1), 1);
+        assert.ok(ease(0.25) < ease(0.75), name);
+    });
+    assertClose(EASINGS.easeInOut(0.5), 0.5);
+});
+
+test('a keyframe at the same time replaces the old one', () => {
+    const director = new CameraDirector();
+    director.addKeyframe(keyframe(1, 5));
+    director.addKeyframe(keyframe(1, 7));
+
+    assert.equal(director.keyframes.length, 1);
+    assert.equal(director.keyframes[0].position.x, 7);
+    assert.equal(director.keyframes[0].easing, 'easeInOut');
+});
+
+test('tracks round-trip through JSON and are validated', () => {
+    const director = new CameraDirector();
+    director.setKeyframes([keyframe(0, 0), keyframe(1, 10, { fov: 60 })]);
+
+    const other = new CameraDirector();
+    other.loadTrack(JSON.parse(JSON.stringify(director)));
+    assert.deepEqual(other.keyframes, director.keyframes);
+
+    assert.throws(() => validateCameraTrack(null), /not an object/);
+    assert.throws(() => validateCameraTrack({ version: 2, keyframes: [] }), /Unsupported camera track version: 2/);
+    assert.throws(() => validateCameraTrack({ version: CAMERA_TRACK_VERSION }), /keyframes must be a list/);
+    assert.throws(() => director.addKeyframe(keyframe(NaN, 0)), /t must be a finite number/);
+    assert.throws(() => director.addKeyframe(keyframe(0, 0, { fov: 180 })), /fov must be between 0 and 180/);
+    assert.throws(() => director.addKeyframe(keyframe(0, 0, { easing: 'bounce' })), /Unknown easing: bounce/);
+});
+
+test('orbit circles the target and follow eases towards the plane', () => {
+    const director = new CameraDirector();
+    const current = { position: { x: 10, y: 5, z: 0 }, target: ORIGIN, fov: 75 };
+
+    assert.equal(director.update(current, { t: 0, n: 0, elapsed: 1 }), null);
+
+    director.setMode('orbit', { speed: Math.PI / 2 });
+    const orbit = director.update(current, { t: 0, n: 0, elapsed: 1 });
+    assertClose(orbit.position.x, 0);
+    assertClose(orbit.position.z, -10);
+    assert.equal(orbit.position.y, 5);
+
+    director.setMode('follow', { smoothing: 1 });
+    const follow = director.update(current, { t: 0, n: 2, elapsed: 1 });
+    const dz = 12 * (1 - Math.exp(-1));
+    assertClose(follow.target.z, dz);
+    assertClose(follow.position.z, dz);
+
+    assert.throws(() => director.setMode('dolly'), /Unknown camera mode: dolly/);
+    assert.throws(() => director.setMode('follow', { smoothing: 0 }), /smoothing must be greater than 0/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PALETTES, ColorScale, parseColor, resolvePalette, timePhase } from '../src/color-map.js';
+
+function colorAt(scale, value, min = 0, max = 1) {
+    const out = new Float32Array(3);
+    scale.write(value, min, max, out, 0);
+    return [...out];
+}
+
+test('colors parse from #rgb, #rrggbb and numbers', () => {
+    assert.deepEqual(parseColor('#fff'), { r: 1, g: 1, b: 1 });
+    assert.deepEqual(parseColor('#FF0000'), { r: 1, g: 0, b: 0 });
+    assert.deepEqual(parseColor(0x0000ff), { r: 0, g: 0, b: 1 });
+    assert.throws(() => parseColor('red'), /Invalid color: "red"/);
+    assert.throws(() => parseColor(0x1000000), /Invalid color/);
+});
+
+test('built-in palettes resolve to evenly spread stops', () => {
+    Object.entries(PALETTES).forEach(([name, colors]) => {
+        const stops = resolvePalette(name);
+        assert.equal(stops.length, colors.length, name);
+        assert.equal(stops[0].at, 0);
+        assert.equal(stops[stops.length - 1].at, 1);
+    });
+    assert.throws(() => resolvePalette('jet'), /Unknown palette: jet/);
+});
+
+test('custom palettes are validated and sorted', () => {
+    const stops = resolvePalette([{ at: 1, color: '#ffffff' }, { at: 0, color: 0 }]);
+    assert.deepEqual(stops.map(({ at }) => at), [0, 1]);
+
+    assert.throws(() => resolvePalette(['#000']), /at least two stops/);
+    assert.throws(() => resolvePalette(['#000', { at: 1, color: '#fff' }]), /all colors or all \{ at, color \}/);
+    assert.throws(() => resolvePalette([{ at: 0, color: '#000' }, { at: 2, color: '#fff' }]), /between 0 and 1 \(got 2\)/);
+});
+
+test('a scale interpolates between stops and clamps outside its range', () => {
+    const scale = new ColorScale(['#000000', '#ffffff']);
+
+    assert.deepEqual(colorAt(scale, 0), [0, 0, 0]);
+    assert.deepEqual(colorAt(scale, 1), [1, 1, 1]);
+    assert.deepEqual(colorAt(scale, -5), [0, 0, 0]);
+    assert.deepEqual(colorAt(scale, 50, 0, 10), [1, 1, 1]);
+    assert.ok(Math.abs(colorAt(scale, 5, 0, 10)[0] - 0.5) < 0.01);
+
+    // An empty range takes the low end; scale multiplies
+    assert.deepEqual(colorAt(scale, 3, 3, 3), [0, 0, 0]);
+    const out = new Float32Array(6);
+    scale.write(1, 0, 1, out, 3, 0.5);
+    assert.deepEqual([...out], [0, 0, 0, 0.5, 0.5, 0.5]);
+});
+
+test('linear scales convert from sRGB', () => {
+    const srgb = colorAt(new ColorScale(['#000000', '#808080']), 1);
+    const linear = colorAt(new ColorScale(['#000000', '#808080'], { linear: true }), 1);
+
+    assert.ok(Math.abs(srgb[0] - 128 / 255) < 1e-6);
+    assert.ok(Math.abs(linear[0] - 0.2158605) < 1e-6);
+});
+
+test('legends get a CSS gradient and phase wraps per time unit', () => {
+    assert.equal(new ColorScale('monochrome').toCSS(), 'linear-gradient(to right, rgb(48, 48, 48) 0.0%, rgb(255, 255, 255) 100.0%)');
+    assert.equal(timePhase(2.25), 0.25);
+    assert.equal(timePhase(-0.25), 0.75);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG_SCHEMA, ConfigError, resolveConfig, validateConfigUpdate } from '../src/config.js';
+import { FractalModel } from '../src/fractal-model.js';
+
+test('resolveConfig defaults every schema key and derives I_max from r', () => {
+    const config = resolveConfig();
+
+    assert.deepEqual(Object.keys(config), Object.keys(CONFIG_SCHEMA));
+    assert.equal(config.r, 3);
+    assert.equal(config.I_max, 81);
+    assert.equal(resolveConfig({ r: 2 }).I_max, 16);
+    assert.equal(resolveConfig({ r: 2, I_max: 20 }).I_max, 20);
+});
+
+test('falsy values are kept and unknown keys ignored', () => {
+    const config = resolveConfig({ timeSpeed: 0, E_cap: 0, unknown: 1 });
+
+    assert.equal(config.timeSpeed, 0);
+    assert.equal(config.E_cap, 0);
+    assert.equal('unknown' in config, false);
+});
+
+test('invalid values throw a ConfigError naming the key', () => {
+    const cases = [
+        [{ r: 1 }, /r must be greater than 1/],
+        [{ r: '3' }, /r must be a finite number/],
+        [{ E_cap: NaN }, /E_cap must be a finite number/],
+        [{ planeSegments: 2.5 }, /planeSegments must be an integer/],
+        [{ timeSpeed: 2 }, /timeSpeed must be at most 1/],
+        [{ rayDecay: -1 }, /rayDecay must be at least 0/],
+        [{ quality: 'ultra' }, /quality must be one of/],
+        [{ cameraPosition: { x: 0 } }, /cameraPosition must be an \{ x, y, z \} vector/],
+        [{ energyProfile: 'nope' }, /energyProfile: Unknown energy profile: nope/],
+        [{ palette: 'nope' }, /palette:/]
+    ];
+
+    cases.forEach(([options, message]) => {
+        const [key] = Object.keys(options);
+        assert.throws(() => resolveConfig(options), error => {
+            assert.ok(error instanceof ConfigError);
+            assert.equal(error.name, 'ConfigError');
+            assert.equal(error.key, key);
+            assert.match(error.message, message);
+            return true;
+        });
+    });
+});
+
+test('validateConfigUpdate rejects unknown keys and moves derived defaults', () => {
+    const current = resolveConfig();
+
+    assert.throws(() => validateConfigUpdate({ bogus: 1 }, current), /Unknown config key: bogus/);
+    assert.deepEqual(validateConfigUpdate({ r: 2 }, current), { r: 2, I_max: 16 });
+
+    // A hand-set I_max stays put
+    const custom = resolveConfig({ I_max: 100 });
+    assert.deepEqual(validateConfigUpdate({ r: 2 }, custom), { r: 2 });
+});
+
+test('FractalModel#setConfig applies nothing when a value is invalid', () => {
+    const model = new FractalModel();
+
+    assert.throws(() => model.setConfig({ E_cap: 5, r: 0 }), ConfigError);
+    assert.equal(model.config.E_cap, 13);
+
+    assert.equal(model.setConfig({ E_cap: 5 }).E_cap, 5);
+    assert.equal(model.config.E_cap, 5);
+    assert.equal(model.config.I_max, 81);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnergyProfile, registerEnergyProfile, getEnergyProfileNames } from '../src/energy-profiles.js';
+import { FractalModel } from '../src/fractal-model.js';
+
+// The slice of the energy system a profile reads and writes
+function system(config = {}) {
+    return {
+        energy: 0,
+        energyDirection: 1,
+        field: 0,
+        config: { r: 3, I_max: 81, energyRate: 30, ...config }
+    };
+}
+
+test('the built-in profiles are registered', () => {
+    const names = getEnergyProfileNames();
+    ['triangle', 'sawtooth', 'exponential', 'logistic', 'dampedSine'].forEach(name => {
+        assert.ok(names.includes(name), name);
+    });
+});
+
+test('profiles are created from a name, a spec object or a function', () => {
+    assert.equal(createEnergyProfile().name, 'triangle');
+    assert.equal(createEnergyProfile('sawtooth').name, 'sawtooth');
+    assert.equal(createEnergyProfile({ type: 'dampedSine', damping: 0.5 }).name, 'dampedSine');
+    assert.equal(createEnergyProfile(t => t).name, 'custom');
+    assert.throws(() => createEnergyProfile('nope'), /Unknown energy profile: nope/);
+});
+
+test('triangle expands, contracts after a reflection and expands again at 0', () => {
+    const profile = createEnergyProfile('triangle');
+    const s = system();
+
+    profile.advance(s, 0.1, 0);
+    assert.equal(s.energy, 3);
+
+    profile.reflect(s);
+    assert.equal(s.energyDirection, -1);
+    profile.advance(s, 0.05, 0.1);
+    assert.equal(s.energy, 1.5);
+
+    profile.advance(s, 1, 0.15);
+    assert.equal(s.energy, 0);
+    assert.equal(s.energyDirection, 1);
+});
+
+test('exponential grows by r^(3 dt) and logistic rises towards its capacity', () => {
+    const exponential = createEnergyProfile('exponential');
+    const s = system();
+    exponential.advance(s, 1 / 3, 0);
+    assert.ok(Math.abs(s.energy - 3) < 1e-12);
+
+    const logistic = createEnergyProfile({ type: 'logistic', capacity: 10 });
+    const l = system();
+    let previous = 0;
+    for (let i = 0; i < 20; i++) {
+        logistic.advance(l, 0.1, i * 0.1);
+        assert.ok(l.energy >= previous && l.energy <= 10);
+        previous = l.energy;
+    }
+    assert.ok(l.energy > 9.9);
+});
+
+test('function profiles set energy from f(t + dt) and track its slope', () => {
+    const calls = [];
+    const profile = createEnergyProfile((t, state) => {
+        calls.push({ t, dt: state.dt });
+        return 5 - t;
+    });
+    const s = system();
+    s.energy = 10;
+
+    profile.advance(s, 0.5, 1);
+    assert.deepEqual(calls, [{ t: 1.5, dt: 0.5 }]);
+    assert.equal(s.energy, 3.5);
+    assert.equal(s.energyDirection, -1);
+
+    // Negative energies are clamped to 0
+    profile.advance(s, 10, 1.5);
+    assert.equal(s.energy, 0);
+});
+
+test('registered profiles drive the model', () => {
+    registerEnergyProfile('constant', ({ level = 7 } = {}) => ({
+        advance(system) {
+            system.energy = level;
+        }
+    }));
+
+    const model = new FractalModel({ energyProfile: { type: 'constant', level: 12 } });
+    assert.equal(model.step().energy, 12);
+});
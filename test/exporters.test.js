@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportFrame } from '../src/exporters/index.js';
+import { buildBranchMesh } from '../src/exporters/geometry.js';
+import { FractalModel } from '../src/fractal-model.js';
+
+// glTF component types and accessor sizes
+const COMPONENT_BYTES = { 5126: 4, 5125: 4 };
+const TYPE_SIZES = { SCALAR: 1, VEC3: 3 };
+
+// A model frame with branches and one wave plane (planes only show up
+// between integer steps, where sin(6πn) is not 0)
+function frameAfter(steps) {
+    const model = new FractalModel();
+    for (let i = 0; i < steps; i++) model.step();
+    return { ...model.getState(), planes: [model.computePlane(1.25)] };
+}
+
+function emptyFrame() {
+    return { branches: [], planes: [] };
+}
+
+/**
+ * The glTF 2.0 rules a validator checks that this exporter can break:
+ * no empty top-level arrays, accessors with count >= 1 inside their
+ * buffer views, finite POSITION bounds that contain the data, in-range
+ * indices, and a non-empty buffer whose data URI matches byteLength.
+ */
+function validateGLTF(json) {
+    const gltf = JSON.parse(json);
+    assert.equal(gltf.asset.version, '2.0');
+
+    Object.entries(gltf).forEach(([key, value]) => {
+        if (Array.isArray(value)) assert.ok(value.length > 0, `${key} must not be empty`);
+    });
+    assert.ok(gltf.scenes[gltf.scene], 'scene must exist');
+    if (!gltf.buffers) return gltf;
+
+    const [buffer] = gltf.buffers;
+    const bytes = Buffer.from(buffer.uri.split(',')[1], 'base64');
+    assert.ok(buffer.byteLength > 0);
+    assert.equal(bytes.length, buffer.byteLength);
+
+    gltf.bufferViews.forEach(view => {
+        assert.ok(view.byteLength > 0);
+        assert.ok(view.byteOffset + view.byteLength <= buffer.byteLength);
+    });
+
+    const read = (accessor) => {
+        const view = gltf.bufferViews[accessor.bufferView];
+        const length = accessor.count * TYPE_SIZES[accessor.type];
+        assert.ok(length * COMPONENT_BYTES[accessor.componentType] <= view.byteLength);
+        const slice = bytes.buffer.slice(bytes.byteOffset + view.byteOffset, bytes.byteOffset + view.byteOffset + view.byteLength);
+        return accessor.componentType === 5126 ? new Float32Array(slice, 0, length) : new Uint32Array(slice, 0, length);
+    };
+
+    gltf.meshes.forEach(mesh => mesh.primitives.forEach(primitive => {
+        const position = gltf.accessors[primitive.attributes.POSITION];
+        const indices = gltf.accessors[primitive.indices];
+        assert.ok(position.count >= 1 && indices.count >= 1);
+        assert.equal(indices.count % 3, 0);
+
+        const positions = read(position);
+        for (let k = 0; k < 3; k++) {
+            assert.ok(Number.isFinite(position.min[k]) && Number.isFinite(position.max[k]));
+        }
+        for (let i = 0; i < positions.length; i++) {
+            assert.ok(positions[i] >= position.min[i % 3] && positions[i] <= position.max[i % 3]);
+        }
+        read(indices).forEach(index => assert.ok(index < position.count));
+    }));
+
+    return gltf;
+}
+
+test('glTF exports of a model frame pass validation', () => {
+    const gltf = validateGLTF(exportFrame(frameAfter(40)).data);
+
+    assert.deepEqual(gltf.nodes.map(({ name }) => name), ['branches', 'plane_0']);
+    assert.equal(gltf.accessors.length, gltf.meshes.length * 2);
+});
+
+test('an empty frame exports a valid empty glTF scene', () => {
+    const gltf = validateGLTF(exportFrame(emptyFrame()).data);
+
+    assert.deepEqual(gltf.scenes, [{}]);
+    assert.equal(gltf.buffers, undefined);
+});
+
+test('zero-length branch segments are skipped', () => {
+    const point = { x: 1, y: 2, z: 3 };
+    const branches = [
+        { start: point, end: point, radius: 0.1 },
+        { start: point, end: { x: 1, y: 2, z: 4 }, radius: 0.1 }
+    ];
+
+    const mesh = buildBranchMesh(branches, 8);
+    assert.equal(mesh.positions.length, (8 * 2 + 2) * 3);
+    assert.equal(mesh.indices.length, 8 * 4 * 3);
+
+    // A frame of only zero-length segments has nothing to export
+    const gltf = validateGLTF(exportFrame({ branches: branches.slice(0, 1), planes: [] }).data);
+    assert.deepEqual(gltf.scenes, [{}]);
+});
+
+test('OBJ exports one object per mesh with 1-based global indices', () => {
+    const state = frameAfter(40);
+    const { data, extension, mimeType } = exportFrame(state, { format: 'obj' });
+    assert.equal(extension, 'obj');
+    assert.equal(mimeType, 'model/obj');
+
+    const lines = data.trim().split('\n');
+    const vertices = lines.filter(line => line.startsWith('v ')).length;
+    const objects = lines.filter(line => line.startsWith('o ')).map(line => line.slice(2));
+    assert.deepEqual(objects, ['branches', ...state.planes.map((plane, i) => `plane_${i}`)]);
+
+    lines.filter(line => line.startsWith('f ')).forEach(line => {
+        line.slice(2).split(' ').map(Number).forEach(index => {
+            assert.ok(index >= 1 && index <= vertices);
+        });
+    });
+});
+
+test('STL exports a binary solid with one record per triangle', () => {
+    const { data } = exportFrame(frameAfter(40), { format: 'stl' });
+    const view = new DataView(data);
+    const triangles = view.getUint32(80, true);
+
+    assert.ok(triangles > 0);
+    assert.equal(data.byteLength, 84 + triangles * 50);
+
+    // Normals are unit length
+    for (let i = 0; i < triangles; i += 97) {
+        const offset = 84 + i * 50;
+        const n = [0, 4, 8].map(k => view.getFloat32(offset + k, true));
+        assert.ok(Math.abs(Math.hypot(...n) - 1) < 1e-5);
+    }
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => exportFrame(emptyFrame(), { format: 'fbx' }), /Unknown export format: fbx/);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FractalModel } from '../src/fractal-model.js';
+import { SimulationClock } from '../src/clock.js';
+
+// Advance until `milestone` happens, or fail after `limit` steps
+function advanceUntil(model, milestone, limit = 10000) {
+    for (let i = 0; i < limit; i++) {
+        model.advance();
+        if (model.milestones[milestone]) return;
+    }
+    assert.fail(`No ${milestone} within ${limit} steps`);
+}
+
+// What a frame looks like, for comparing two runs
+function fingerprint(state) {
+    return JSON.stringify({
+        t: state.t,
+        n: state.n,
+        energy: state.energy,
+        field: state.field,
+        branches: state.branches.map(({ start, end, energy }) => [start, end, energy]),
+        planes: state.planes.map(({ n, I }) => [n, I]),
+        rays: state.rays.map(({ axis, energy }) => [axis, energy])
+    });
+}
+
+test('step advances time and returns the frame', () => {
+    const model = new FractalModel();
+    const { timeSpeed } = model.config;
+
+    const state = model.step();
+    assert.equal(state.t, timeSpeed);
+    assert.ok(state.energy > 0);
+    assert.ok(state.branches.length > 0);
+
+    const again = model.getState();
+    assert.equal(again.t, state.t);
+    assert.equal(again.energy, state.energy);
+    assert.equal(again.branches, state.branches);
+});
+
+test('the same seed gives the same frames', () => {
+    const a = new FractalModel({ seed: 7, jitter: 0.3 });
+    const b = new FractalModel({ seed: 7, jitter: 0.3 });
+
+    for (let i = 0; i < 100; i++) {
+        a.step();
+        b.step();
+    }
+    assert.equal(fingerprint(a.getState()), fingerprint(b.getState()));
+});
+
+test('intensity reflects at I_max and disperses three rays', () => {
+    const model = new FractalModel();
+    const { I_max, r, rayLength } = model.config;
+
+    advanceUntil(model, 'reflect');
+    const state = model.getState();
+
+    assert.ok(state.excess > 0);
+    assert.ok(Math.abs(state.energy - I_max / r) < 1e-9);
+    assert.deepEqual(state.rays.map(({ axis }) => axis), ['x', 'y', 'z']);
+    state.rays.forEach(ray => {
+        assert.equal(ray.excess, state.excess);
+        assert.equal(ray.energy, state.excess / 3);
+        assert.equal(ray.length, ray.energy * rayLength);
+        assert.equal(ray.brightness, Math.min(1, state.excess / (0.01 * I_max)));
+    });
+
+    // Rays fade out over the following steps
+    const brightness = state.rays[0].brightness;
+    model.advance();
+    assert.ok(model.dispersion.rays[0].brightness < brightness);
+});
+
+test('field energy above E_cap is recycled into the source', () => {
+    const model = new FractalModel();
+    const { E_cap } = model.config;
+
+    advanceUntil(model, 'recycle');
+    const state = model.getState();
+
+    assert.ok(state.recycled > 0);
+    assert.equal(state.field, E_cap);
+    assert.ok(state.recycleCount > 0);
+});
+
+test('seek lands on the same frame as playing straight there', () => {
+    const played = new FractalModel({ seed: 3, jitter: 0.2 });
+    const clock = new SimulationClock(played);
+    clock.advance(700);
+    played.buildFrame();
+    const expected = fingerprint(played.getState());
+
+    // Forward from scratch on a fresh model
+    const fresh = new FractalModel({ seed: 3, jitter: 0.2 });
+    new SimulationClock(fresh).seek(played.t);
+    assert.equal(fingerprint(fresh.getState()), expected);
+
+    // Back through the checkpoints and forward again
+    clock.seek(1.23);
+    clock.seek(played.config.timeSpeed * 700);
+    assert.equal(fingerprint(played.getState()), expected);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FramePool, packFrame, frameBuffers, frameTransferables, MATRIX_FLOATS } from '../src/frame-packing.js';
+import { WorkerFrameGenerator, SyncFrameGenerator } from '../src/frame-generator.js';
+import { FractalModel } from '../src/fractal-model.js';
+
+const OPTIONS = { timeSpeed: 0.1, historyLength: 3, lambda_decay: 0.5, branching: { depthCap: 2 } };
+const ARRAYS = ['matrices', 'opacities', 'bounds', 'energies', 'times', 'intervals', 'parents'];
+
+function assertSameFrame(actual, expected) {
+    ['n', 't', 'branchCount', 'segmentCount', 'planeCount'].forEach(key => assert.equal(actual[key], expected[key], key));
+    ARRAYS.forEach(key => {
+        assert.equal(actual[key].constructor, expected[key].constructor, key);
+        assert.deepEqual([...actual[key]], [...expected[key]], key);
+    });
+    assert.deepEqual(
+        actual.planes.map(({ positions, ...plane }) => ({ ...plane, positions: [...positions] })),
+        expected.planes.map(({ positions, ...plane }) => ({ ...plane, positions: [...positions] }))
+    );
+}
+
+/**
+ * frame-worker.js loaded on this thread behind a Worker-like object,
+ * with messages structured-cloned (and buffers transferred) both ways.
+ */
+async function loadWorker() {
+    let onWorkerMessage = null;
+    const listeners = {};
+
+    globalThis.self = {
+        addEventListener: (type, listener) => { onWorkerMessage = listener; },
+        postMessage: (data, transfer) => {
+            const copy = structuredClone(data, { transfer });
+            setImmediate(() => listeners.message({ data: copy }));
+        }
+    };
+    await import('../src/frame-worker.js');
+
+    return {
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        postMessage: (data, transfer = []) => {
+            const copy = structuredClone(data, { transfer });
+            setImmediate(() => onWorkerMessage({ data: copy }));
+        },
+        terminate() {}
+    };
+}
+
+test('frames have one matrix per segment and parents a level up', () => {
+    const model = new FractalModel(OPTIONS);
+    for (let i = 0; i < 20; i++) model.step();
+    const state = model.getState();
+    const frame = packFrame(state);
+
+    const segments = [state.branches, ...state.history.map(({ branches }) => branches)].flat();
+    assert.equal(frame.branchCount, state.branches.length);
+    assert.equal(frame.segmentCount, segments.length);
+    assert.equal(frame.matrices.length, segments.length * MATRIX_FLOATS);
+
+    segments.forEach(({ depth }, i) => {
+        const parent = frame.parents[i];
+        assert.equal(parent === -1 ? -1 : segments[parent].depth, depth - 1);
+    });
+    assert.equal(frameTransferables(frame).length, ARRAYS.length + frame.planes.length);
+});
+
+test('pooled frames match unpooled ones and reuse released buffers', () => {
+    const model = new FractalModel(OPTIONS);
+    const pool = new FramePool();
+    const buffers = new Set();
+    let previous = null;
+    let grownBy20 = 0;
+
+    // As the renderer does: pack the next frame, then release the one it
+    // replaces. Buffers only grow while the tree does
+    for (let i = 0; i < 40; i++) {
+        model.step();
+        const frame = packFrame(model.getState(), pool);
+        assertSameFrame(frame, packFrame(model.getState()));
+
+        buffers.add(frame.matrices.buffer);
+        if (i === 19) grownBy20 = buffers.size;
+        if (previous) pool.release(frameBuffers(previous));
+        previous = frame;
+    }
+
+    assert.equal(buffers.size, grownBy20);
+});
+
+test('the sync generator hands out pooled frames', () => {
+    const model = new FractalModel(OPTIONS);
+    const frames = [];
+    const generator = new SyncFrameGenerator(model, frame => frames.push(frame));
+
+    model.step();
+    generator.request();
+    generator.release(frames[0]);
+    generator.request();
+
+    assert.equal(frames[1].matrices.buffer, frames[0].matrices.buffer);
+});
+
+test('the worker packs the same frames as the main thread', async () => {
+    const worker = await loadWorker();
+    const model = new FractalModel(OPTIONS);
+    const reference = new FractalModel(OPTIONS);
+    let current = null;
+    let released = null;
+
+    const generator = new WorkerFrameGenerator(model, frame => {
+        if (current) {
+            generator.release(current);
+            released = current;
+        }
+        current = frame;
+    }, worker);
+
+    for (let i = 0; i < 30; i++) {
+        model.advance();
+        reference.step();
+        generator.request();
+        await new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+
+        assert.equal(current.t, reference.t);
+        assertSameFrame(current, packFrame(reference.getState()));
+    }
+
+    // Released frames went back to the worker with their buffers
+    assert.equal(released.matrices.buffer.byteLength, 0);
+
+    // After a config change the worker packs for the new setup
+    model.setConfig({ E_cap: 5 });
+    reference.setConfig({ E_cap: 5 });
+    reference.buildFrame();
+    generator.request();
+    await new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+    assertSameFrame(current, packFrame(reference.getState()));
+
+    generator.dispose();
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FractalModel } from '../src/fractal-model.js';
+
+// Small trees and a new step n every few steps keep these fast
+const SMALL = { timeSpeed: 0.1, branching: { depthCap: 1 } };
+
+function modelAfter(steps, options) {
+    const model = new FractalModel({ ...SMALL, ...options });
+    for (let i = 0; i < steps; i++) model.step();
+    return model;
+}
+
+test('there is no trail by default', () => {
+    assert.deepEqual(modelAfter(20).getState().history, []);
+});
+
+test('the trail keeps historyLength past steps, newest first, fading with age', () => {
+    const model = modelAfter(20, { historyLength: 3, lambda_decay: 0.5 });
+    const { history, n } = model.getState();
+
+    assert.equal(history.length, 3);
+    assert.deepEqual(history.map(frame => frame.n), [n - 1, n - 2, n - 3]);
+    history.forEach(frame => {
+        assert.ok(Math.abs(frame.fade - Math.exp(-0.5 * (model.frameT - frame.t))) < 1e-12);
+        assert.ok(frame.branches.length > 0);
+    });
+    assert.ok(history[0].fade > history[1].fade && history[1].fade > history[2].fade);
+});
+
+test('frames fainter than historyThreshold are dropped', () => {
+    const { history } = modelAfter(20, { historyLength: 3, lambda_decay: 0.5, historyThreshold: 0.7 });
+
+    assert.equal(history.length, 2);
+    assert.ok(history.every(frame => frame.fade >= 0.7));
+});
+
+test('the trail stops at historyBudget', () => {
+    const full = modelAfter(20, { historyLength: 3, lambda_decay: 0.5 }).getState().history;
+    const frameMB = full[0].bytes / (1024 * 1024);
+
+    const budgeted = modelAfter(20, { historyLength: 3, lambda_decay: 0.5, historyBudget: frameMB * 2.5 });
+    assert.equal(budgeted.getState().history.length, 2);
+
+    budgeted.setConfig({ historyBudget: 0 });
+    budgeted.buildFrame();
+    assert.deepEqual(budgeted.getState().history, []);
+});
+
+test('kept frames are cached between steps and rebuilt after config changes', () => {
+    const model = modelAfter(20, { historyLength: 3, lambda_decay: 0.5 });
+    const [newest] = model.getState().history;
+
+    model.step();
+    model.buildFrame();
+    assert.equal(model.getState().history.find(frame => frame.n === newest.n).branches, newest.branches);
+
+    model.setConfig({ E_cap: 10 });
+    model.buildFrame();
+    assert.notEqual(model.getState().history.find(frame => frame.n === newest.n).branches, newest.branches);
+});
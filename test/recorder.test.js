@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRecorder, METRIC_COLUMNS, DEFAULT_RECORDING_CAPACITY } from '../src/recorder.js';
+import { FractalModel } from '../src/fractal-model.js';
+
+function sample(t) {
+    return { t, n: Math.floor(t * 3), energy: t * 10, frameTime: 16 };
+}
+
+test('samples are only kept while recording', () => {
+    const recorder = new MetricsRecorder();
+    assert.equal(recorder.capacity, DEFAULT_RECORDING_CAPACITY);
+
+    recorder.record(sample(0));
+    assert.equal(recorder.length, 0);
+
+    recorder.start();
+    recorder.record(sample(1));
+    recorder.stop();
+    recorder.record(sample(2));
+    assert.deepEqual(recorder.samples().map(({ t }) => t), [1]);
+});
+
+test('the ring buffer keeps the most recent capacity samples, oldest first', () => {
+    const recorder = new MetricsRecorder();
+    recorder.start({ capacity: 3 });
+
+    [1, 2, 3, 4, 5].forEach(t => recorder.record(sample(t)));
+    assert.equal(recorder.length, 3);
+    assert.deepEqual(recorder.samples().map(({ t }) => t), [3, 4, 5]);
+
+    // Restarting clears the samples but keeps the buffers
+    const columns = recorder.columns;
+    recorder.start({ capacity: 3 });
+    assert.equal(recorder.length, 0);
+    assert.equal(recorder.columns, columns);
+
+    assert.throws(() => recorder.start({ capacity: 0 }), /positive integer \(got 0\)/);
+});
+
+test('missing values are null in samples and JSON, empty in CSV', () => {
+    const recorder = new MetricsRecorder();
+    recorder.start({ capacity: 4 });
+    recorder.record({ t: 0.01, n: 0, energy: 0.3, branches: 'many' });
+
+    const [first] = recorder.samples();
+    assert.deepEqual(Object.keys(first), METRIC_COLUMNS);
+    assert.equal(first.frameTime, null);
+    assert.equal(first.branches, null);
+    assert.deepEqual(JSON.parse(JSON.stringify(recorder)), [first]);
+
+    const [header, row, end] = recorder.toCSV().split('\n');
+    assert.equal(header, METRIC_COLUMNS.join(','));
+    assert.equal(row, '0.01,0,,0.3,,,,,,,');
+    assert.equal(end, '');
+});
+
+test('measureFrame counts the branches the model would build', () => {
+    const model = new FractalModel({ seed: 2, jitter: 0.5 });
+
+    for (let i = 0; i < 60; i++) {
+        model.step();
+        const { branches, maxDepth } = model.measureFrame();
+        const built = model.getState().branches;
+
+        assert.equal(branches, built.length);
+        assert.equal(maxDepth, built.length > 0 ? Math.max(...built.map(({ depth }) => depth)) : null);
+    }
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SNAPSHOT_VERSION,
+    DEFAULT_SOURCES,
+    serializableConfig,
+    serializableSources,
+    validateSnapshot,
+    encodeSnapshot,
+    decodeSnapshot,
+    snapshotToHash,
+    snapshotFromHash
+} from '../src/snapshot.js';
+import { PRESETS, getPreset } from '../src/presets.js';
+import { CONFIG_SCHEMA, resolveConfig } from '../src/config.js';
+import { FractalModel } from '../src/fractal-model.js';
+
+function snapshotOf(model) {
+    return {
+        version: SNAPSHOT_VERSION,
+        config: serializableConfig(model.config),
+        t: model.t,
+        sources: serializableSources(model.sources.map(({ id, position, phase, weight, profile, system }) => ({
+            id, position, phase, weight, profile, energy: system.energy, energyDirection: system.energyDirection
+        }))),
+        camera: { position: { x: 1, y: 2, z: 3 }, target: { x: 0, y: 0, z: 0 } }
+    };
+}
+
+test('snapshots round-trip through the URL hash', () => {
+    const model = new FractalModel({ r: 2.5, seed: 9, jitter: 0.4, energyProfile: { type: 'dampedSine', damping: 0.5 } });
+    model.addSource({ position: { x: 4, y: 0, z: 0 }, phase: 1 });
+    for (let i = 0; i < 5; i++) model.step();
+
+    const snapshot = snapshotOf(model);
+    const hash = snapshotToHash(snapshot);
+    assert.match(hash, /^#snapshot=[A-Za-z0-9_-]+$/);
+    assert.deepEqual(snapshotFromHash(hash), snapshot);
+    assert.deepEqual(decodeSnapshot(encodeSnapshot(snapshot)), snapshot);
+    assert.equal(snapshotFromHash('#other=1'), null);
+});
+
+test('a snapshot config rebuilds the same model', () => {
+    const original = new FractalModel({ r: 2.5, E_cap: 7, seed: 4, jitter: 0.2 });
+    for (let i = 0; i < 40; i++) original.step();
+
+    const { config, sources } = decodeSnapshot(encodeSnapshot(snapshotOf(original)));
+    const restored = new FractalModel(config);
+    restored.setSources(sources);
+    for (let i = 0; i < 40; i++) restored.step();
+
+    assert.equal(restored.getState().energy, original.getState().energy);
+    assert.equal(restored.getState().branches.length, original.getState().branches.length);
+});
+
+test('function values are left out of serialized config and sources', () => {
+    const profile = t => t;
+    assert.deepEqual(serializableConfig({ r: 3, energyProfile: profile }), { r: 3 });
+
+    const [source] = serializableSources([{ id: 0, position: { x: 0, y: 0, z: 0 }, phase: 0, weight: 1, profile, energy: 1, energyDirection: 1 }]);
+    assert.equal(source.profile, null);
+});
+
+test('malformed snapshots are rejected', () => {
+    const valid = { version: SNAPSHOT_VERSION, config: {} };
+    assert.equal(validateSnapshot(valid), valid);
+
+    assert.throws(() => validateSnapshot(null), /not an object/);
+    assert.throws(() => validateSnapshot({ ...valid, version: 99 }), /Unsupported snapshot version: 99/);
+    assert.throws(() => validateSnapshot({ version: SNAPSHOT_VERSION }), /missing config/);
+    assert.throws(() => validateSnapshot({ ...valid, t: 'soon' }), /t must be a number/);
+    assert.throws(() => validateSnapshot({ ...valid, sources: [{ position: { x: 0 } }] }), /sources must be a list/);
+    assert.throws(() => validateSnapshot({ ...valid, camera: { position: { x: 0, y: 0, z: 0 } } }), /camera needs/);
+    assert.deepEqual(DEFAULT_SOURCES.map(({ position }) => position), [{ x: 0, y: 0, z: 0 }]);
+});
+
+test('presets carry a full config', () => {
+    PRESETS.forEach(({ id, snapshot }) => {
+        assert.equal(validateSnapshot(snapshot), snapshot);
+        assert.deepEqual(Object.keys(snapshot.config), Object.keys(CONFIG_SCHEMA), id);
+        assert.equal(snapshot.config.I_max, Math.pow(snapshot.config.r, 4), id);
+    });
+    assert.throws(() => getPreset('r9'), /Unknown preset: r9/);
+});
+
+test('a preset looks the same whatever was loaded before it', () => {
+    const { config } = getPreset('r4').snapshot;
+
+    const fresh = new FractalModel();
+    fresh.setConfig(config);
+
+    const used = new FractalModel({ r: 2, jitter: 0.8, seed: 5, rayDecay: 9, historyLength: 4, branching: 'binary' });
+    used.setConfig(config);
+
+    assert.deepEqual(serializableConfig(used.config), serializableConfig(fresh.config));
+    assert.deepEqual(serializableConfig(fresh.config), serializableConfig(resolveConfig(config)));
+});
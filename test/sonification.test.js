@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SonificationScore,
+    Sonifier,
+    resolveSonificationOptions,
+    renderSonification
+} from '../src/sonification.js';
+import { toWAV } from '../src/exporters/wav.js';
+import { FractalModel } from '../src/fractal-model.js';
+
+// Score readings of `steps` forward steps
+function readSteps(model, score, steps) {
+    return Array.from({ length: steps }, () => {
+        model.advance();
+        const level = Math.min(1, Math.max(0, model.energy / model.config.I_max));
+        return { ...score.read(model), level, milestones: { ...model.milestones } };
+    });
+}
+
+test('pitch and loudness follow the energy', () => {
+    const options = resolveSonificationOptions({ baseFrequency: 100, pitchRange: 2 });
+    const model = new FractalModel();
+
+    readSteps(model, new SonificationScore(options), 40).forEach(({ level, root, amplitude, partials }) => {
+        assert.ok(Math.abs(root - 100 * Math.pow(2, 2 * level)) < 1e-9);
+        assert.ok(Math.abs(amplitude - Math.sqrt(level)) < 1e-12);
+        assert.ok(partials.length <= options.maxPartials);
+
+        // Partials share the amplitude
+        const total = partials.reduce((sum, { gain }) => sum + gain, 0);
+        if (partials.length > 0) assert.ok(Math.abs(total - amplitude) < 1e-9);
+        partials.forEach(({ pan }) => assert.ok(pan >= -1 && pan <= 1));
+    });
+});
+
+test('energy peaks and troughs move on through the chords', () => {
+    const options = resolveSonificationOptions();
+    const readings = readSteps(new FractalModel(), new SonificationScore(options), 600);
+    let chord = 0;
+
+    readings.forEach(({ chord: current, chordChanged, milestones }) => {
+        assert.equal(chordChanged, milestones.energyPeak || milestones.energyTrough);
+        if (chordChanged) chord = (chord + 1) % options.chords.length;
+        assert.equal(current, chord);
+    });
+    assert.ok(readings.filter(({ chordChanged }) => chordChanged).length >= 2);
+});
+
+test('recycling strikes one hit as it starts', () => {
+    const readings = readSteps(new FractalModel(), new SonificationScore(resolveSonificationOptions()), 600);
+
+    readings.forEach(({ hit, milestones }, i) => {
+        const starts = milestones.recycle && !(i > 0 && readings[i - 1].milestones.recycle);
+        assert.equal(hit > 0, starts);
+    });
+    assert.ok(readings.some(({ hit }) => hit > 0));
+});
+
+test('a reset mid-recycling strikes no hit', () => {
+    const model = new FractalModel();
+    while (!model.milestones.recycle) model.advance();
+
+    const score = new SonificationScore(resolveSonificationOptions());
+    score.reset(model);
+    model.advance();
+    assert.ok(model.milestones.recycle);
+    assert.equal(score.read(model).hit, 0);
+});
+
+test('the same run always reads the same', () => {
+    const options = resolveSonificationOptions();
+    const a = readSteps(new FractalModel({ seed: 3, jitter: 0.3 }), new SonificationScore(options), 200);
+    const b = readSteps(new FractalModel({ seed: 3, jitter: 0.3 }), new SonificationScore(options), 200);
+
+    assert.deepEqual(a, b);
+});
+
+test('options are validated and a stopped sonifier stays silent', () => {
+    assert.throws(() => resolveSonificationOptions({ volume: 2 }), /volume must be between 0 and 1/);
+    assert.throws(() => resolveSonificationOptions({ muted: 'yes' }), /muted must be true or false/);
+    assert.throws(() => resolveSonificationOptions({ chords: [[]] }), /chords must be a list/);
+    assert.throws(() => resolveSonificationOptions({ maxPartials: 0 }), /maxPartials must be an integer from 1 to 64/);
+
+    const sonifier = new Sonifier({ muted: true });
+    assert.equal(sonifier.active, false);
+    assert.equal(sonifier.masterGain, 0);
+    assert.equal(sonifier.step(new FractalModel()), null);
+    sonifier.seeked(new FractalModel());
+});
+
+test('offline rendering needs an OfflineAudioContext', async () => {
+    await assert.rejects(
+        renderSonification(new FractalModel(), { steps: 10, dt: 0.01, stepsPerSecond: 60 }),
+        /Offline audio rendering is not supported here/
+    );
+});
+
+test('toWAV writes 16-bit PCM with interleaved, clipped samples', () => {
+    const left = Float32Array.from([0, 1, -1, 2]);
+    const right = Float32Array.from([0.5, -0.5, -2, 0]);
+    const view = new DataView(toWAV([left, right], 44100));
+    const tag = offset => String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)));
+
+    assert.equal(view.byteLength, 44 + 4 * 2 * 2);
+    assert.equal(tag(0), 'RIFF');
+    assert.equal(view.getUint32(4, true), view.byteLength - 8);
+    assert.equal(tag(8), 'WAVE');
+    assert.equal(tag(12), 'fmt ');
+    assert.equal(view.getUint16(20, true), 1);
+    assert.equal(view.getUint16(22, true), 2);
+    assert.equal(view.getUint32(24, true), 44100);
+    assert.equal(view.getUint32(28, true), 44100 * 4);
+    assert.equal(view.getUint16(34, true), 16);
+    assert.equal(tag(36), 'data');
+    assert.equal(view.getUint32(40, true), 16);
+
+    const samples = Array.from({ length: 8 }, (_, i) => view.getInt16(44 + i * 2, true));
+    assert.deepEqual(samples, [0, 16383, 32767, -16384, -32768, -32768, 32767, 0]);
+
+    assert.equal(toWAV([], 8000).byteLength, 44);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportSVG, SVG_VIEWS } from '../src/exporters/svg.js';
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+function branch(start, end, radius = 0.1, opacity = 1) {
+    return { start, end, radius, opacity };
+}
+
+// Stroke widths of the branch paths, in document order
+function strokeWidths(svg) {
+    return [...svg.matchAll(/<path d="M[^"]*" stroke-width="([\d.]+)" stroke-opacity/g)].map(match => Number(match[1]));
+}
+
+test('orthographic views fit the drawing into the page', () => {
+    const state = {
+        branches: [branch({ x: -5, y: -5, z: 0 }, { x: 5, y: 5, z: 0 })],
+        planes: []
+    };
+
+    const svg = exportSVG(state, { view: 'front', width: 200, height: 100, padding: 10 });
+    assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="0 0 200 100">'));
+    // 80px of height for 10 units, centred horizontally
+    assert.ok(svg.includes('<path d="M60 90L140 10"'), svg);
+});
+
+test('paths are painted back to front', () => {
+    const state = {
+        branches: [
+            branch({ x: 0, y: 0, z: 5 }, { x: 1, y: 0, z: 5 }, 0.1),
+            branch({ x: 0, y: 1, z: -5 }, { x: 1, y: 1, z: -5 }, 0.2)
+        ],
+        planes: []
+    };
+
+    // In the front view the far (z = -5, wider) wire comes first
+    const widths = strokeWidths(exportSVG(state, { view: 'front', width: 100, height: 100, padding: 0 }));
+    assert.equal(widths.length, 2);
+    assert.ok(widths[0] > widths[1]);
+});
+
+test('plane outlines follow the grid border', () => {
+    const segments = 2;
+    const positions = new Float32Array((segments + 1) * (segments + 1) * 3);
+    for (let iy = 0, i = 0; iy <= segments; iy++) {
+        for (let ix = 0; ix <= segments; ix++, i += 3) {
+            positions.set([ix - 1, 1 - iy, 0], i);
+        }
+    }
+
+    const svg = exportSVG({ branches: [], planes: [{ segments, positions, z: 0 }] }, { view: 'top' });
+    const outline = svg.match(/<path d="M([^"]*)Z" fill="none"/);
+    assert.ok(outline);
+    assert.equal(outline[1].split('L').length, segments * 4);
+});
+
+test('the camera view drops geometry behind the camera', () => {
+    // Projection with w = -z, so only points in front (z < 0) are drawn
+    const projectionMatrix = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, -1, -1, 0, 0, 0, 0];
+    const camera = { projectionMatrix, matrixWorldInverse: IDENTITY };
+    const state = {
+        branches: [
+            branch({ x: 0, y: 0, z: -2 }, { x: 1, y: 0, z: -2 }),
+            branch({ x: 0, y: 0, z: 2 }, { x: 1, y: 0, z: 2 })
+        ],
+        planes: []
+    };
+
+    assert.equal(strokeWidths(exportSVG(state, { view: 'camera', camera })).length, 1);
+});
+
+test('views and options are validated', () => {
+    assert.deepEqual(SVG_VIEWS, ['camera', 'front', 'top', 'side']);
+    assert.throws(() => exportSVG({ branches: [], planes: [] }, { view: 'iso' }), /Unknown SVG view: iso/);
+    assert.throws(() => exportSVG({ branches: [], planes: [] }, { view: 'camera' }), /needs a camera/);
+
+    // An empty frame is still a document, without a background if asked
+    const svg = exportSVG({ branches: [], planes: [] }, { background: null });
+    assert.ok(!svg.includes('<rect'));
+    assert.ok(svg.trim().endsWith('</svg>'));
+});